@@ -0,0 +1,80 @@
+/**
+ * Cart rewards progress bar (free shipping at X, a free gift at Y, ...)
+ *
+ * Expected DOM (rendered by snippets/cart-rewards):
+ * - cart-rewards[data-cart-total] (cents, cart currency), [data-money-template] a price formatted in the cart
+ *   currency, [data-remaining] with [amount]/[reward] placeholders, [data-complete] with a [reward] placeholder
+ * - .cart-rewards__message polite live region, .progress-bar-container from snippets/progress-bar
+ * - .cart-rewards__tier[data-threshold] (cents, store currency)[data-label]
+ *
+ * Thresholds are converted with Shopify.currency.rate, the rate Shopify applies to prices in the
+ * customer's market. The bar follows the cart from PUB_SUB_EVENTS.cartUpdate without fetching sections;
+ * only updates that come without a cart (a lone add) fetch /cart.js.
+ */
+
+// Rendered by both the cart drawer and the cart page - only define once
+if (!customElements.get('cart-rewards')) {
+  customElements.define(
+    'cart-rewards',
+    class CartRewards extends HTMLElement {
+      connectedCallback() {
+        this.message = this.querySelector('.cart-rewards__message');
+        this.progressBar = this.querySelector('.progress-bar-container');
+        this.tiers = [...this.querySelectorAll('.cart-rewards__tier')].sort(
+          (a, b) => Number(a.dataset.threshold) - Number(b.dataset.threshold)
+        );
+
+        this.update(Number(this.dataset.cartTotal));
+
+        if (typeof subscribe === 'function' && typeof PUB_SUB_EVENTS !== 'undefined') {
+          this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+            if (event.cart) return this.update(event.cart.total_price);
+
+            return fetch(`${routes.cart_url}.js`)
+              .then((response) => response.json())
+              .then((cart) => this.update(cart.total_price))
+              .catch((error) => console.error(error));
+          });
+        }
+      }
+
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) this.cartUpdateUnsubscriber();
+      }
+
+      getThreshold(tier) {
+        const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+        return Math.round(Number(tier.dataset.threshold) * rate);
+      }
+
+      update(total) {
+        if (this.tiers.length === 0) return;
+
+        const thresholds = this.tiers.map((tier) => this.getThreshold(tier));
+        const maxThreshold = thresholds[thresholds.length - 1];
+        const progress = Math.min(total / maxThreshold, 1);
+
+        this.tiers.forEach((tier, index) => {
+          tier.style.setProperty('--position', thresholds[index] / maxThreshold);
+          tier.classList.toggle('is-unlocked', total >= thresholds[index]);
+        });
+
+        const nextIndex = thresholds.findIndex((threshold) => total < threshold);
+        const text =
+          nextIndex === -1
+            ? this.dataset.complete.replace('[reward]', this.tiers[this.tiers.length - 1].dataset.label)
+            : this.dataset.remaining
+                .replace('[amount]', formatPriceLike(this.dataset.moneyTemplate, thresholds[nextIndex] - total))
+                .replace('[reward]', this.tiers[nextIndex].dataset.label);
+
+        // Only touch the live region when the message changes, so unrelated cart updates stay quiet
+        if (this.message.textContent !== text) this.message.textContent = text;
+
+        const percentage = Math.round(progress * 100);
+        this.progressBar.setAttribute('aria-valuenow', percentage);
+        this.progressBar.setAttribute('aria-valuetext', text);
+        this.progressBar.querySelector('.progress-bar-value').style.setProperty('--progress', progress);
+      }
+    }
+  );
+}
@@ -8,11 +8,96 @@ class CartRemoveButton extends HTMLElement {
       cartItems.updateQuantity(this.dataset.index, 0, event);
     });
   }
+
+  // The line as /cart/add.js expects it, so it can be added back from the undo snackbar
+  get line() {
+    const sellingPlan = parseInt(this.dataset.sellingPlan);
+
+    return {
+      key: this.dataset.key,
+      index: parseInt(this.dataset.index),
+      title: this.dataset.title,
+      item: {
+        id: parseInt(this.dataset.variantId),
+        quantity: parseInt(this.dataset.quantity),
+        properties: JSON.parse(this.dataset.properties || '{}') || {},
+        ...(sellingPlan && { selling_plan: sellingPlan }),
+      },
+    };
+  }
 }
 
 customElements.define('cart-remove-button', CartRemoveButton);
 
+class CartUndo extends HTMLElement {
+  static TIMEOUT = 8000;
+
+  constructor() {
+    super();
+    this.snackbar = this.querySelector('.cart-undo__snackbar');
+    this.message = this.querySelector('.cart-undo__message');
+    this.line = null;
+
+    this.querySelector('.cart-undo__button').addEventListener('click', this.undo.bind(this));
+
+    // The snackbar stays up while it is hovered or focused
+    this.addEventListener('mouseenter', () => clearTimeout(this.timeout));
+    this.addEventListener('focusin', () => clearTimeout(this.timeout));
+    this.addEventListener('mouseleave', () => {
+      if (!this.contains(document.activeElement)) this.startTimer();
+    });
+    this.addEventListener('focusout', (event) => {
+      if (!this.contains(event.relatedTarget) && !this.matches(':hover')) this.startTimer();
+    });
+  }
+
+  disconnectedCallback() {
+    clearTimeout(this.timeout);
+  }
+
+  show(line) {
+    this.line = line;
+    this.snackbar.hidden = false;
+    this.message.textContent = '';
+
+    // Set once the live region is visible, otherwise screen readers skip the announcement
+    requestAnimationFrame(() => {
+      this.message.textContent = this.dataset.message.replace('[title]', line.title);
+    });
+    this.startTimer();
+  }
+
+  hide() {
+    clearTimeout(this.timeout);
+    this.line = null;
+    this.snackbar.hidden = true;
+    this.message.textContent = '';
+  }
+
+  startTimer() {
+    clearTimeout(this.timeout);
+    if (!this.line) return;
+
+    this.timeout = setTimeout(this.hide.bind(this), CartUndo.TIMEOUT);
+  }
+
+  undo() {
+    const line = this.line;
+    if (!line) return;
+
+    const cartItems = this.closest('cart-drawer')?.querySelector('cart-drawer-items') || document.querySelector('cart-items');
+    this.hide();
+    cartItems.restoreLine(line);
+  }
+}
+
+customElements.define('cart-undo', CartUndo);
+
 class CartItems extends HTMLElement {
+  // Quantities painted ahead of /cart/change, by quantity input id, so section HTML rendered in the meantime
+  // doesn't undo them
+  static pendingQuantities = new Map();
+
   constructor() {
     super();
     this.lineItemStatusElement =
@@ -22,6 +107,9 @@ class CartItems extends HTMLElement {
       this.onChange(event);
     }, ON_CHANGE_DEBOUNCE_TIMER);
 
+    this.addEventListener('change', (event) => {
+      if (event.target.classList.contains('quantity__input')) this.paintQuantity(event.target);
+    });
     this.addEventListener('change', debouncedOnChange.bind(this));
   }
 
@@ -55,18 +143,23 @@ class CartItems extends HTMLElement {
     event.target.select();
   }
 
+  getQuantityError(input) {
+    const inputValue = parseInt(input.value);
+
+    if (inputValue < input.dataset.min) {
+      return window.quickOrderListStrings.min_error.replace('[min]', input.dataset.min);
+    } else if (inputValue > parseInt(input.max)) {
+      return window.quickOrderListStrings.max_error.replace('[max]', input.max);
+    } else if (inputValue % parseInt(input.step) !== 0) {
+      return window.quickOrderListStrings.step_error.replace('[step]', input.step);
+    }
+    return '';
+  }
+
   validateQuantity(event) {
     const inputValue = parseInt(event.target.value);
     const index = event.target.dataset.index;
-    let message = '';
-
-    if (inputValue < event.target.dataset.min) {
-      message = window.quickOrderListStrings.min_error.replace('[min]', event.target.dataset.min);
-    } else if (inputValue > parseInt(event.target.max)) {
-      message = window.quickOrderListStrings.max_error.replace('[max]', event.target.max);
-    } else if (inputValue % parseInt(event.target.step) !== 0) {
-      message = window.quickOrderListStrings.step_error.replace('[step]', event.target.step);
-    }
+    const message = this.getQuantityError(event.target);
 
     if (message) {
       this.setValidity(event, index, message);
@@ -87,31 +180,61 @@ class CartItems extends HTMLElement {
     this.validateQuantity(event);
   }
 
+  // One Section Rendering API request covers the items, totals and cart bubble, so updates made elsewhere
+  // (including other tabs, see CartSync) show up everywhere without a second fetch
   onCartUpdate() {
     if (this.tagName === 'CART-DRAWER-ITEMS') {
-      return fetch(`${routes.cart_url}?section_id=cart-drawer`)
-        .then((response) => response.text())
-        .then((responseText) => {
-          const html = new DOMParser().parseFromString(responseText, 'text/html');
-          const selectors = ['cart-drawer-items', '.cart-drawer__footer'];
-          for (const selector of selectors) {
-            const targetElement = document.querySelector(selector);
-            const sourceElement = html.querySelector(selector);
-            if (targetElement && sourceElement) {
-              targetElement.replaceWith(sourceElement);
+      return fetch(`${routes.cart_url}?sections=cart-drawer,cart-icon-bubble`)
+        .then((response) => response.json())
+        .then((sections) => {
+          const html = new DOMParser().parseFromString(sections['cart-drawer'], 'text/html');
+          const cartDrawer = document.querySelector('cart-drawer');
+          const isEmpty = html.querySelector('cart-drawer').classList.contains('is-empty');
+
+          // The empty drawer has a different layout, so it is swapped as a whole when the cart empties or fills up
+          if (cartDrawer && isEmpty !== cartDrawer.classList.contains('is-empty')) {
+            cartDrawer.classList.toggle('is-empty', isEmpty);
+            cartDrawer.querySelector('.drawer__inner').innerHTML = html.querySelector('.drawer__inner').innerHTML;
+          } else {
+            const selectors = ['cart-drawer-items', '.cart-drawer__footer'];
+            for (const selector of selectors) {
+              const targetElement = document.querySelector(selector);
+              const sourceElement = html.querySelector(selector);
+              if (targetElement && sourceElement) {
+                targetElement.replaceWith(sourceElement);
+              }
             }
           }
+
+          this.renderCartIconBubble(sections['cart-icon-bubble']);
         })
         .catch((e) => {
           console.error(e);
         });
     } else {
-      return fetch(`${routes.cart_url}?section_id=main-cart-items`)
-        .then((response) => response.text())
-        .then((responseText) => {
-          const html = new DOMParser().parseFromString(responseText, 'text/html');
+      const itemsSection = document.getElementById('main-cart-items').dataset.id;
+      const cartFooter = document.getElementById('main-cart-footer');
+      const sectionIds = [itemsSection, cartFooter?.dataset.id, 'cart-icon-bubble'].filter(Boolean);
+
+      return fetch(`${routes.cart_url}?sections=${sectionIds.join(',')}`)
+        .then((response) => response.json())
+        .then((sections) => {
+          const html = new DOMParser().parseFromString(sections[itemsSection], 'text/html');
           const sourceQty = html.querySelector('cart-items');
           this.innerHTML = sourceQty.innerHTML;
+          this.className = sourceQty.className;
+
+          if (cartFooter) {
+            const footerHtml = new DOMParser().parseFromString(sections[cartFooter.dataset.id], 'text/html');
+            const sourceFooter = footerHtml.getElementById('main-cart-footer');
+            const targetTotals = cartFooter.querySelector('.js-contents');
+            const sourceTotals = sourceFooter.querySelector('.js-contents');
+
+            cartFooter.classList.toggle('is-empty', sourceFooter.classList.contains('is-empty'));
+            if (targetTotals && sourceTotals) targetTotals.innerHTML = sourceTotals.innerHTML;
+          }
+
+          this.renderCartIconBubble(sections['cart-icon-bubble']);
         })
         .catch((e) => {
           console.error(e);
@@ -119,6 +242,11 @@ class CartItems extends HTMLElement {
     }
   }
 
+  renderCartIconBubble(html) {
+    const cartIconBubble = document.getElementById('cart-icon-bubble');
+    if (cartIconBubble && html) cartIconBubble.innerHTML = this.getSectionInnerHTML(html, '.shopify-section');
+  }
+
   getSectionsToRender() {
     return [
       {
@@ -145,34 +273,39 @@ class CartItems extends HTMLElement {
   }
 
   updateQuantity(line, quantity, event, name, variantId) {
-    this.enableLoading(line);
+    const eventTarget = event.currentTarget instanceof CartRemoveButton ? 'clear' : 'change';
+    const removedLine = eventTarget === 'clear' ? event.currentTarget.line : null;
+
+    // Painted quantity changes leave the line usable, so repeated +/- clicks aren't held up by the spinner
+    const isPainted = eventTarget === 'change' && quantity > 0;
+    if (!isPainted) this.enableLoading(line);
 
-    const body = JSON.stringify({
+    const body = {
       line,
       quantity,
       sections: this.getSectionsToRender().map((section) => section.section),
       sections_url: window.location.pathname,
-    });
-    const eventTarget = event.currentTarget instanceof CartRemoveButton ? 'clear' : 'change';
-
-    fetch(`${routes.cart_change_url}`, { ...fetchConfig(), ...{ body } })
-      .then((response) => {
-        return response.text();
-      })
-      .then((state) => {
-        const parsedState = JSON.parse(state);
+    };
 
+    CartQueue.change(body, { source: 'cart-items', eventData: { variantId } })
+      .then((parsedState) => {
         CartPerformance.measure(`${eventTarget}:paint-updated-sections"`, () => {
           const quantityElement =
             document.getElementById(`Quantity-${line}`) || document.getElementById(`Drawer-quantity-${line}`);
           const items = document.querySelectorAll('.cart-item');
 
-          if (parsedState.errors) {
-            quantityElement.value = quantityElement.getAttribute('value');
-            this.updateLiveRegions(line, parsedState.errors);
+          if (parsedState.errors || parsedState.status) {
+            this.rollbackQuantity(quantityElement);
+            this.updateLiveRegions(line, parsedState.errors || parsedState.description);
             return;
           }
 
+          if (CartItems.pendingQuantities.get(quantityElement.id) === quantity) {
+            CartItems.pendingQuantities.delete(quantityElement.id);
+          }
+          // Painted quantities are kept by line number, which no longer matches once lines come and go
+          if (items.length !== parsedState.items.length) CartItems.pendingQuantities.clear();
+
           this.classList.toggle('is-empty', parsedState.item_count === 0);
           const cartDrawerWrapper = document.querySelector('cart-drawer');
           const cartFooter = document.getElementById('main-cart-footer');
@@ -180,17 +313,17 @@ class CartItems extends HTMLElement {
           if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
           if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
 
-          this.getSectionsToRender().forEach((section) => {
-            const elementToReplace =
-              document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
-            elementToReplace.innerHTML = this.getSectionInnerHTML(
-              parsedState.sections[section.section],
-              section.selector
-            );
-          });
+          this.renderSections(parsedState);
+          this.repaintPendingQuantities();
           const updatedValue = parsedState.items[line - 1] ? parsedState.items[line - 1].quantity : undefined;
           let message = '';
-          if (items.length === parsedState.items.length && updatedValue !== parseInt(quantityElement.value)) {
+          // A quantity painted since this request was sent isn't a mismatch - its own request is on the way
+          const hasNewerQuantity = CartItems.pendingQuantities.has(quantityElement.id);
+          if (
+            !hasNewerQuantity &&
+            items.length === parsedState.items.length &&
+            updatedValue !== parseInt(quantityElement.value)
+          ) {
             if (typeof updatedValue === 'undefined') {
               message = window.cartStrings.error;
             } else {
@@ -210,14 +343,19 @@ class CartItems extends HTMLElement {
           } else if (document.querySelector('.cart-item') && cartDrawerWrapper) {
             trapFocus(cartDrawerWrapper, document.querySelector('.cart-item__name'));
           }
+
+          if (removedLine && !parsedState.items.some((item) => item.key === removedLine.key)) {
+            this.showUndo(removedLine);
+          }
         });
 
         CartPerformance.measureFromEvent(`${eventTarget}:user-action`, event);
-
-        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState, variantId: variantId });
       })
       .catch(() => {
         this.querySelectorAll('.loading__spinner').forEach((overlay) => overlay.classList.add('hidden'));
+        const quantityElement =
+          document.getElementById(`Quantity-${line}`) || document.getElementById(`Drawer-quantity-${line}`);
+        if (isPainted && quantityElement) this.rollbackQuantity(quantityElement);
         const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
         errors.textContent = window.cartStrings.error;
       })
@@ -226,6 +364,146 @@ class CartItems extends HTMLElement {
       });
   }
 
+  // Scales the line total and the cart total rendered with the cart to the new quantity. The section HTML
+  // from /cart/change replaces them once it arrives.
+  paintQuantity(input) {
+    const quantity = parseInt(input.value);
+    if (!input.closest('.cart-item') || isNaN(quantity) || quantity <= 0 || this.getQuantityError(input)) return;
+
+    CartItems.pendingQuantities.set(input.id, quantity);
+    this.paintLineTotal(input, quantity);
+    this.paintCartTotal();
+  }
+
+  rollbackQuantity(input) {
+    CartItems.pendingQuantities.delete(input.id);
+    input.value = input.getAttribute('value');
+    this.paintLineTotal(input, parseInt(input.value));
+    this.paintCartTotal();
+  }
+
+  // Re-applies quantities still waiting on /cart/change over freshly rendered section HTML
+  repaintPendingQuantities() {
+    const cartItems = this.isConnected ? this : document.querySelector(this.tagName.toLowerCase());
+    if (!cartItems) return;
+
+    CartItems.pendingQuantities.forEach((quantity, id) => {
+      const input = cartItems.querySelector(`#${CSS.escape(id)}`);
+      if (!input) return;
+
+      input.value = quantity;
+      cartItems.paintLineTotal(input, quantity);
+    });
+    cartItems.paintCartTotal();
+  }
+
+  paintLineTotal(input, quantity) {
+    const lineItem = input.closest('.cart-item');
+    const renderedQuantity = parseInt(input.getAttribute('value'));
+    const linePrices = {
+      '.cart-item__totals .price:not(.cart-item__old-price)': lineItem.dataset.finalLinePrice,
+      '.cart-item__totals .cart-item__old-price': lineItem.dataset.originalLinePrice,
+    };
+
+    Object.entries(linePrices).forEach(([selector, linePrice]) => {
+      if (linePrice === undefined) return;
+
+      const price = Math.round((parseInt(linePrice) / renderedQuantity) * quantity);
+      lineItem.querySelectorAll(selector).forEach((element) => {
+        element.textContent = formatPriceLike(element.textContent, price);
+      });
+    });
+  }
+
+  paintCartTotal() {
+    const total = document.querySelector(
+      this.tagName === 'CART-DRAWER-ITEMS'
+        ? '.cart-drawer__footer .totals__total-value'
+        : '#main-cart-footer .totals__total-value'
+    );
+    if (!total || total.dataset.totalPrice === undefined) return;
+
+    const difference = [...this.querySelectorAll('.cart-item .quantity__input')].reduce((sum, input) => {
+      const quantity = CartItems.pendingQuantities.get(input.id);
+      if (quantity === undefined) return sum;
+
+      const linePrice = parseInt(input.closest('.cart-item').dataset.finalLinePrice);
+      return sum + Math.round((linePrice / parseInt(input.getAttribute('value'))) * quantity) - linePrice;
+    }, 0);
+
+    total.textContent = formatPriceLike(total.textContent, parseInt(total.dataset.totalPrice) + difference);
+  }
+
+  renderSections(parsedState) {
+    this.getSectionsToRender().forEach((section) => {
+      const elementToReplace =
+        document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
+      elementToReplace.innerHTML = this.getSectionInnerHTML(parsedState.sections[section.section], section.selector);
+    });
+  }
+
+  showUndo(line) {
+    const isDrawer = this.tagName === 'CART-DRAWER-ITEMS';
+    const undo = document.getElementById(isDrawer ? 'CartDrawer-Undo' : 'main-cart-undo');
+    if (!undo) return;
+
+    undo.show(line);
+
+    // Undo sits next to #CartDrawer, so focus is trapped in the whole drawer to keep it reachable
+    if (isDrawer) trapFocus(undo.closest('cart-drawer'), document.activeElement);
+  }
+
+  // Adds a removed line back with its variant, quantity, properties and selling plan. The Cart API can't
+  // move lines, so it lands wherever Shopify puts new lines and focus follows it by its key.
+  restoreLine(line) {
+    this.enableLoading(line.index);
+
+    const body = {
+      items: [line.item],
+      sections: this.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname,
+    };
+
+    CartQueue.add(body, { source: 'cart-items', eventData: { productVariantId: line.item.id } })
+      .then((parsedState) => {
+        if (parsedState.status) {
+          const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
+          errors.textContent = parsedState.description || window.cartStrings.error;
+          return;
+        }
+
+        const isDrawer = this.tagName === 'CART-DRAWER-ITEMS';
+        const cartDrawerWrapper = document.querySelector('cart-drawer');
+        const cartFooter = document.getElementById('main-cart-footer');
+
+        this.classList.remove('is-empty');
+        if (cartFooter) cartFooter.classList.remove('is-empty');
+        if (cartDrawerWrapper) cartDrawerWrapper.classList.remove('is-empty');
+
+        this.renderSections(parsedState);
+
+        const container = isDrawer ? document.getElementById('CartDrawer') : this;
+        const restoredLine = container
+          .querySelector(`cart-remove-button[data-key="${CSS.escape(parsedState.items[0].key)}"]`)
+          ?.closest('.cart-item');
+        const focusElement = (restoredLine || container).querySelector('.cart-item__name');
+
+        if (isDrawer) {
+          trapFocus(container, focusElement || container);
+        } else if (focusElement) {
+          focusElement.focus();
+        }
+      })
+      .catch(() => {
+        this.querySelectorAll('.loading__spinner').forEach((overlay) => overlay.classList.add('hidden'));
+        const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
+        errors.textContent = window.cartStrings.error;
+      })
+      .finally(() => {
+        this.disableLoading(line.index);
+      });
+  }
+
   updateLiveRegions(line, message) {
     const lineItemError =
       document.getElementById(`Line-item-error-${line}`) || document.getElementById(`CartDrawer-LineItemError-${line}`);
@@ -283,8 +561,7 @@ if (!customElements.get('cart-note')) {
         this.addEventListener(
           'input',
           debounce((event) => {
-            const body = JSON.stringify({ note: event.target.value });
-            fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+            CartQueue.update({ note: event.target.value }, { source: 'cart-note', publish: false })
               .then(() => CartPerformance.measureFromEvent('note-update:user-action', event));
           }, ON_CHANGE_DEBOUNCE_TIMER)
         );
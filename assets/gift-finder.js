@@ -0,0 +1,220 @@
+/**
+ * Gift finder for the Gift Guide grid
+ *
+ * Steps through "who / budget / interests" questions rendered by grid-six-products
+ * and filters and ranks the section's tiles by the answers.
+ *
+ * Expected DOM (rendered inside gift-guide-grid):
+ * - gift-finder[data-section-id]
+ *   - [data-gg-finder-form] with one fieldset[data-gg-finder-step] per question
+ *     - inputs carry the answer criteria: data-tags, data-product-type, data-min-price, data-max-price
+ *       (cents, store currency - converted with Shopify.currency.rate, as tile prices are in the market's currency)
+ *   - [data-gg-finder-back], [data-gg-finder-next], [data-gg-finder-submit]
+ *   - [data-gg-finder-results] with [data-gg-finder-status], [data-gg-finder-edit]
+ *   - [data-gg-finder-empty], [data-gg-finder-reset] buttons, [data-gg-finder-live]
+ * - Tiles: .gg-product-tile[data-product-tags][data-product-type][data-product-price] (cents, market currency)
+ *
+ * Answers are kept in the URL (?gift_for_<section id>=&gift_budget_<section id>=&gift_interests_<section id>=a,b)
+ * so results can be shared; the section id keeps the answers of several grids on one page apart.
+ * A tile must match the "who" and "budget" answers and at least one interest; tiles matching
+ * more interests are ranked first.
+ */
+
+// gift-finder.js is rendered by every grid-six-products section - only define once
+if (!customElements.get('gift-finder')) {
+  customElements.define(
+    'gift-finder',
+    class GiftFinder extends HTMLElement {
+      static PARAMS = {
+        recipient: 'gift_for',
+        budget: 'gift_budget',
+        interest: 'gift_interests'
+      };
+
+      connectedCallback() {
+        this.grid = this.closest('gift-guide-grid');
+        this.productsGrid = this.grid.querySelector('.products-grid');
+        this.tiles = Array.from(this.productsGrid.querySelectorAll('.gg-product-tile'));
+        this.form = this.querySelector('[data-gg-finder-form]');
+        this.steps = Array.from(this.querySelectorAll('[data-gg-finder-step]'));
+        this.currentStep = 0;
+
+        this.querySelector('[data-gg-finder-back]').addEventListener('click', () => this.showStep(this.currentStep - 1));
+        this.querySelector('[data-gg-finder-next]').addEventListener('click', () => this.showStep(this.currentStep + 1));
+        this.querySelector('[data-gg-finder-edit]').addEventListener('click', () => this.editAnswers());
+        this.querySelectorAll('[data-gg-finder-reset]').forEach(button => {
+          button.addEventListener('click', () => this.reset());
+        });
+        this.form.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.updateUrl();
+          this.showResults();
+        });
+
+        if (this.restoreFromUrl()) {
+          this.showResults();
+        } else {
+          this.showStep(0);
+        }
+      }
+
+      showStep(index, focus = index !== this.currentStep) {
+        this.currentStep = Math.max(0, Math.min(index, this.steps.length - 1));
+        const isLast = this.currentStep === this.steps.length - 1;
+
+        this.steps.forEach((step, i) => {
+          step.hidden = i !== this.currentStep;
+        });
+        this.querySelector('[data-gg-finder-back]').hidden = this.currentStep === 0;
+        this.querySelector('[data-gg-finder-next]').hidden = isLast;
+        this.querySelector('[data-gg-finder-submit]').hidden = !isLast;
+
+        if (focus) {
+          const step = this.steps[this.currentStep];
+          (step.querySelector('input:checked') || step.querySelector('input'))?.focus();
+        }
+      }
+
+      getSelectedInputs(stepName) {
+        const step = this.steps.find(s => s.dataset.ggFinderStep === stepName);
+        if (!step) return [];
+        return Array.from(step.querySelectorAll('input:checked')).filter(input => input.value);
+      }
+
+      getParam(stepName) {
+        return `${GiftFinder.PARAMS[stepName]}_${this.dataset.sectionId}`;
+      }
+
+      restoreFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        let restored = false;
+
+        this.steps.forEach(step => {
+          const values = (params.get(this.getParam(step.dataset.ggFinderStep)) || '').split(',').filter(Boolean);
+          if (values.length === 0) return;
+
+          step.querySelectorAll('input').forEach(input => {
+            if (values.includes(input.value)) {
+              input.checked = true;
+              restored = true;
+            }
+          });
+        });
+
+        return restored;
+      }
+
+      updateUrl() {
+        const url = new URL(window.location.href);
+
+        Object.keys(GiftFinder.PARAMS).forEach(stepName => {
+          const param = this.getParam(stepName);
+          const values = this.getSelectedInputs(stepName).map(input => input.value);
+          if (values.length > 0) {
+            url.searchParams.set(param, values.join(','));
+          } else {
+            url.searchParams.delete(param);
+          }
+        });
+
+        history.replaceState(history.state, '', url.toString());
+      }
+
+      getTileData(tile) {
+        return {
+          tags: (tile.dataset.productTags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+          type: tile.dataset.productType || '',
+          price: Number(tile.dataset.productPrice) || 0
+        };
+      }
+
+      answerMatches(product, input) {
+        const tags = (input.dataset.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+        const type = input.dataset.productType || '';
+
+        if (tags.length > 0 || type) {
+          const tagMatch = tags.some(tag => product.tags.includes(tag));
+          const typeMatch = type && product.type === type;
+          if (!tagMatch && !typeMatch) return false;
+        }
+
+        if (input.dataset.minPrice && product.price < this.getPrice(input.dataset.minPrice)) return false;
+        if (input.dataset.maxPrice && product.price > this.getPrice(input.dataset.maxPrice)) return false;
+
+        return true;
+      }
+
+      // Budgets are set in the store currency; tile prices are in the customer's market currency
+      getPrice(storePrice) {
+        const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+        return Math.round(Number(storePrice) * rate);
+      }
+
+      applyFilters() {
+        const required = [...this.getSelectedInputs('recipient'), ...this.getSelectedInputs('budget')];
+        const interests = this.getSelectedInputs('interest');
+
+        const ranked = this.tiles.map(tile => {
+          const product = this.getTileData(tile);
+          const visible = required.every(input => this.answerMatches(product, input));
+          const score = interests.filter(input => this.answerMatches(product, input)).length;
+
+          return { tile, visible: visible && (interests.length === 0 || score > 0), score };
+        });
+
+        // Array.prototype.sort is stable, so tiles with the same score keep the merchant's order
+        ranked
+          .sort((a, b) => Number(b.visible) - Number(a.visible) || b.score - a.score)
+          .forEach(({ tile, visible }) => {
+            tile.hidden = !visible;
+            this.productsGrid.appendChild(tile);
+          });
+
+        return ranked.filter(({ visible }) => visible).length;
+      }
+
+      showResults() {
+        const count = this.applyFilters();
+        const message = window.giftGuideStrings.finderResults
+          .replace('[count]', count)
+          .replace('[total]', this.tiles.length);
+
+        this.form.hidden = true;
+        this.querySelector('[data-gg-finder-results]').hidden = false;
+        this.querySelector('[data-gg-finder-status]').textContent = message;
+        this.querySelector('[data-gg-finder-empty]').hidden = count > 0;
+        this.querySelector('[data-gg-finder-live]').textContent = count > 0 ? message : window.giftGuideStrings.finderEmpty;
+      }
+
+      // Theme editor (theme-editor.js): show the question of the selected answer block
+      showAnswer(blockElement) {
+        const step = blockElement.closest('[data-gg-finder-step]');
+        if (!step) return;
+
+        this.form.hidden = false;
+        this.querySelector('[data-gg-finder-results]').hidden = true;
+        this.showStep(this.steps.indexOf(step), false);
+      }
+
+      editAnswers() {
+        this.form.hidden = false;
+        this.querySelector('[data-gg-finder-results]').hidden = true;
+        this.showStep(0, true);
+      }
+
+      reset() {
+        this.form.reset();
+        this.updateUrl();
+
+        this.tiles.forEach(tile => {
+          tile.hidden = false;
+          this.productsGrid.appendChild(tile);
+        });
+
+        this.querySelector('[data-gg-finder-empty]').hidden = true;
+        this.querySelector('[data-gg-finder-live]').textContent = '';
+        this.editAnswers();
+      }
+    }
+  );
+}
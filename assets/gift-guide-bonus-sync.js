@@ -0,0 +1,157 @@
+/**
+ * Keeps Gift Guide bonus products in step with the lines that earned them.
+ *
+ * popup.js marks the lines it adds:
+ * - Trigger line: properties._gift_guide_bonuses = JSON [{ rule, variant, quantity: 'single'|'match', min }]
+ * - Bonus line: properties._gift_guide_bonus = "<trigger variant id>:<rule id>"
+ *
+ * After every PUB_SUB_EVENTS.cartUpdate the cart is checked and bonus lines are added, removed or resized
+ * so that each trigger variant has exactly one bonus line per rule: one unit for "single" rules, the
+ * trigger quantity for "match" rules, and none once the trigger quantity drops below the rule minimum.
+ * The rules travel with the cart lines, so this works on any page that loads the script.
+ * The cart comes from the cartUpdate event when CartQueue has it; adds without a trigger line are skipped
+ * instead of fetching the cart to find nothing to do.
+ */
+
+// Rendered by the cart page, the cart drawer and Gift Guide grids - only start once
+if (!window.giftGuideBonusSync) {
+  class GiftGuideBonusSync {
+    static SOURCE = 'gift-guide-bonus-sync';
+    static TRIGGER_PROPERTY = '_gift_guide_bonuses';
+    static BONUS_PROPERTY = '_gift_guide_bonus';
+
+    static getBonusKey(triggerVariantId, ruleId) {
+      return `${triggerVariantId}:${ruleId}`;
+    }
+
+    constructor() {
+      this.running = null;
+      this.pending = false;
+
+      if (typeof subscribe === 'function' && typeof PUB_SUB_EVENTS !== 'undefined') {
+        subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+          if (event.source === GiftGuideBonusSync.SOURCE) return;
+          // Updates from other tabs were already reconciled by the tab that made them
+          if (typeof CartSync !== 'undefined' && event.source === CartSync.SOURCE) return;
+          if (!event.cart && !this.affectsBonuses(event.cartData)) return;
+          this.sync(event.cart);
+        });
+      }
+    }
+
+    // Cart updates arriving mid-sync run one more pass afterwards instead of overlapping. That pass
+    // fetches the cart, since an event's cart may predate the writes of the pass before it.
+    sync(cart = null) {
+      if (this.running) {
+        this.pending = true;
+        return this.running;
+      }
+
+      this.running = this.reconcile(cart)
+        .catch(error => console.error('Error syncing Gift Guide bonus products:', error))
+        .finally(() => {
+          this.running = null;
+          if (this.pending) {
+            this.pending = false;
+            this.sync();
+          }
+        });
+
+      return this.running;
+    }
+
+    async reconcile(cart = null) {
+      if (!cart) cart = await fetch('/cart.js').then(response => response.json());
+      const expected = this.getExpectedBonuses(cart.items);
+      const updates = {};
+      const seen = new Set();
+
+      // Resize the first bonus line of each trigger, remove duplicates and orphans
+      cart.items.forEach(line => {
+        const key = line.properties && line.properties[GiftGuideBonusSync.BONUS_PROPERTY];
+        if (!key) return;
+
+        const bonus = expected.get(key);
+        const quantity = bonus && !seen.has(key) ? bonus.quantity : 0;
+        seen.add(key);
+
+        if (line.quantity !== quantity) {
+          updates[line.key] = quantity;
+        }
+      });
+
+      const additions = Array.from(expected.entries())
+        .filter(([key, bonus]) => !seen.has(key) && bonus.quantity > 0)
+        .map(([key, bonus]) => ({
+          id: bonus.variantId,
+          quantity: bonus.quantity,
+          properties: { [GiftGuideBonusSync.BONUS_PROPERTY]: key }
+        }));
+
+      // Queued together so CartQueue publishes one cartUpdate for both; this listener skips its own source
+      const requests = [];
+      if (Object.keys(updates).length > 0) {
+        requests.push(CartQueue.update({ updates }, { source: GiftGuideBonusSync.SOURCE }));
+      }
+      if (additions.length > 0) {
+        requests.push(CartQueue.add({ items: additions }, { source: GiftGuideBonusSync.SOURCE }));
+      }
+
+      const responses = await Promise.all(requests);
+      const rejected = responses.find(response => response.status || response.errors);
+      if (rejected) {
+        throw new Error(rejected.description || rejected.message || rejected.errors);
+      }
+    }
+
+    // Map of bonus key -> { variantId, quantity } from the trigger lines in the cart
+    getExpectedBonuses(lines) {
+      const triggers = new Map();
+
+      lines.forEach(line => {
+        this.parseTriggerRules(line).forEach(rule => {
+          const key = GiftGuideBonusSync.getBonusKey(line.variant_id, rule.rule);
+          const trigger = triggers.get(key) || { rule, quantity: 0 };
+          trigger.quantity += line.quantity;
+          triggers.set(key, trigger);
+        });
+      });
+
+      const expected = new Map();
+      triggers.forEach(({ rule, quantity }, key) => {
+        let bonusQuantity = 0;
+        if (quantity >= (rule.min || 1)) {
+          bonusQuantity = rule.quantity === 'match' ? quantity : 1;
+        }
+        expected.set(key, { variantId: rule.variant, quantity: bonusQuantity });
+      });
+
+      return expected;
+    }
+
+    // Adds answer with only the added lines - unless one of them is a trigger line, bonuses are unchanged
+    affectsBonuses(cartData) {
+      if (!cartData || cartData.item_count !== undefined) return true;
+
+      const lines = cartData.items || (cartData.key ? [cartData] : null);
+      if (!lines) return true;
+
+      return lines.some(line => this.parseTriggerRules(line).length > 0);
+    }
+
+    parseTriggerRules(line) {
+      const value = line.properties && line.properties[GiftGuideBonusSync.TRIGGER_PROPERTY];
+      if (!value) return [];
+
+      try {
+        const rules = JSON.parse(value);
+        return Array.isArray(rules) ? rules.filter(rule => rule && rule.rule && rule.variant) : [];
+      } catch (error) {
+        return [];
+      }
+    }
+  }
+
+  window.GiftGuideBonusSync = GiftGuideBonusSync;
+  window.giftGuideBonusSync = new GiftGuideBonusSync();
+}
@@ -0,0 +1,106 @@
+/**
+ * Shipping-cutoff countdown for the Gift Guide banner
+ *
+ * Expected DOM (rendered by banner-gift-guide):
+ * - gift-guide-countdown[data-deadline] (ms since epoch), [data-message] with a [time] placeholder,
+ *   [data-after-message] (blank hides the countdown after the deadline)
+ * - Unit formats: [data-format-days], [data-format-hours], [data-format-minutes]
+ * - [data-countdown-message] visible text, [data-countdown-fallback] text shown without the countdown,
+ *   [data-countdown-live] polite live region
+ *
+ * The text only changes once a minute and never animates. It is not a live region itself;
+ * screen readers are only told when the deadline passes.
+ */
+
+// gift-guide-countdown.js can be rendered by several banner sections - only define once
+if (!customElements.get('gift-guide-countdown')) {
+  customElements.define(
+    'gift-guide-countdown',
+    class GiftGuideCountdown extends HTMLElement {
+      connectedCallback() {
+        this.deadline = Number(this.dataset.deadline);
+        this.message = this.querySelector('[data-countdown-message]');
+        this.fallback = this.querySelector('[data-countdown-fallback]');
+        this.liveRegion = this.querySelector('[data-countdown-live]');
+
+        // Background tabs throttle timers - recompute when the page is shown again
+        this.onVisibilityChange = () => {
+          if (document.hidden) {
+            this.stop();
+          } else {
+            this.update();
+          }
+        };
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+        this.update({ announce: false });
+      }
+
+      disconnectedCallback() {
+        this.stop();
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+      }
+
+      stop() {
+        clearTimeout(this.timeout);
+      }
+
+      update({ announce = true } = {}) {
+        this.stop();
+
+        const remaining = this.deadline - Date.now();
+        if (!this.deadline || remaining <= 0) {
+          this.showAfterDeadline(announce);
+          return;
+        }
+
+        this.showMessage(this.dataset.message.replace('[time]', this.formatRemaining(remaining)));
+
+        // Minutes are rounded up, so the text next changes when the remaining time crosses a whole minute
+        this.timeout = setTimeout(() => this.update(), remaining % 60000 || 60000);
+      }
+
+      formatRemaining(remaining) {
+        const totalMinutes = Math.ceil(remaining / 60000);
+        const days = Math.floor(totalMinutes / 1440);
+        const hours = Math.floor((totalMinutes % 1440) / 60);
+        const minutes = totalMinutes % 60;
+
+        if (days > 0) {
+          return this.dataset.formatDays.replace('[days]', days).replace('[hours]', hours);
+        }
+        if (hours > 0) {
+          return this.dataset.formatHours.replace('[hours]', hours).replace('[minutes]', minutes);
+        }
+        return this.dataset.formatMinutes.replace('[minutes]', minutes);
+      }
+
+      showMessage(text) {
+        this.message.textContent = text;
+        this.message.hidden = false;
+        if (this.fallback) this.fallback.hidden = true;
+        this.hidden = false;
+      }
+
+      showAfterDeadline(announce) {
+        const afterMessage = this.dataset.afterMessage;
+
+        if (afterMessage) {
+          this.showMessage(afterMessage);
+        } else {
+          this.message.hidden = true;
+          if (this.fallback) {
+            this.fallback.hidden = false;
+          } else {
+            this.hidden = true;
+          }
+        }
+
+        // Only the switch itself is announced, never the minute-by-minute countdown
+        if (announce && afterMessage) {
+          this.liveRegion.textContent = afterMessage;
+        }
+      }
+    }
+  );
+}
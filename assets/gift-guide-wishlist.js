@@ -0,0 +1,422 @@
+/**
+ * Gift Guide wishlist
+ *
+ * GiftGuideWishlist keeps the shopper's gift list in localStorage and keeps every heart button in sync:
+ * - Heart buttons: [data-gg-wishlist-toggle][data-product-handle] with an optional [data-variant-id]
+ *   (tiles save the product, the modal saves the selected variant); aria-pressed reflects the list
+ * - The modal heart of a product saved with another variant switches the saved variant instead of removing it
+ * - Changes are announced with a "giftGuideWishlist:change" document event, also across tabs
+ *
+ * <gift-guide-wishlist> (sections/gift-guide-wishlist.liquid) is the slide-out panel:
+ * - Shows the list with live prices from /products/{handle}.js, shared with the grid through
+ *   GiftGuideProductCache (global.js)
+ * - "Add all to cart" adds every available item with one /cart/add.js call; a sold-out saved variant is
+ *   skipped rather than swapped for another size or colour
+ * - "Share" copies ?gift_list=handle.variantId,handle which opens the list read-only
+ * - Strings: window.giftGuideWishlistStrings (rendered from locales by the section)
+ */
+
+// gift-guide-wishlist.js is rendered by the grid and wishlist sections - only define once
+if (!customElements.get('gift-guide-wishlist')) {
+  class GiftGuideWishlist {
+    static STORAGE_KEY = 'giftGuideWishlist';
+    static SHARE_PARAM = 'gift_list';
+
+    constructor() {
+      this.items = this.read();
+
+      document.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-gg-wishlist-toggle]');
+        if (!button || !button.dataset.productHandle) return;
+
+        this.toggle(button.dataset.productHandle, button.dataset.variantId || null);
+      });
+
+      // Lists edited in another tab
+      window.addEventListener('storage', (e) => {
+        if (e.key !== GiftGuideWishlist.STORAGE_KEY) return;
+        this.items = this.read();
+        this.notify();
+      });
+    }
+
+    read() {
+      try {
+        const items = JSON.parse(localStorage.getItem(GiftGuideWishlist.STORAGE_KEY));
+        return Array.isArray(items) ? items.filter(item => item && typeof item.handle === 'string') : [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    write() {
+      try {
+        localStorage.setItem(GiftGuideWishlist.STORAGE_KEY, JSON.stringify(this.items));
+      } catch (error) {
+        // Storage blocked or full - the list still works until the page is left
+        console.error('Error saving gift list:', error);
+      }
+      this.notify();
+    }
+
+    has(handle) {
+      return this.items.some(item => item.handle === handle);
+    }
+
+    add(handle, variantId = null) {
+      if (this.has(handle)) return;
+      this.items.push({ handle, variantId: variantId ? Number(variantId) : null });
+      this.write();
+    }
+
+    remove(handle) {
+      this.items = this.items.filter(item => item.handle !== handle);
+      this.write();
+    }
+
+    // Tile hearts only care about the product; the modal heart about the product with the selected variant
+    isSaved(handle, variantId = null) {
+      const item = this.items.find(item => item.handle === handle);
+      if (!item) return false;
+      return !variantId || item.variantId === Number(variantId);
+    }
+
+    updateVariant(handle, variantId) {
+      this.items = this.items.map(item => (item.handle === handle ? { ...item, variantId: Number(variantId) } : item));
+      this.write();
+    }
+
+    toggle(handle, variantId = null) {
+      if (this.isSaved(handle, variantId)) {
+        this.remove(handle);
+      } else if (this.has(handle)) {
+        this.updateVariant(handle, variantId);
+      } else {
+        this.add(handle, variantId);
+      }
+    }
+
+    notify() {
+      this.syncButtons();
+      document.dispatchEvent(new CustomEvent('giftGuideWishlist:change', { detail: { items: this.items } }));
+    }
+
+    syncButtons(root = document) {
+      root.querySelectorAll('[data-gg-wishlist-toggle]').forEach(button => {
+        button.setAttribute('aria-pressed', this.isSaved(button.dataset.productHandle, button.dataset.variantId));
+      });
+    }
+
+    // handle.variantId,handle - handles never contain "." or ","
+    static toParam(items) {
+      return items.map(item => (item.variantId ? `${item.handle}.${item.variantId}` : item.handle)).join(',');
+    }
+
+    static fromParam(value) {
+      return (value || '').split(',').filter(Boolean).map(entry => {
+        const [handle, variantId] = entry.split('.');
+        return { handle, variantId: Number(variantId) || null };
+      });
+    }
+  }
+
+  window.giftGuideWishlist = new GiftGuideWishlist();
+  window.giftGuideWishlist.syncButtons();
+
+  customElements.define(
+    'gift-guide-wishlist',
+    class GiftGuideWishlistPanel extends HTMLElement {
+      connectedCallback() {
+        this.wishlist = window.giftGuideWishlist;
+        this.drawer = this.querySelector('[data-gg-wishlist-drawer]');
+        this.list = this.querySelector('[data-gg-wishlist-items]');
+        this.productCache = GiftGuideProductCache.shared;
+
+        const params = new URLSearchParams(window.location.search);
+        this.sharedItems = params.has(GiftGuideWishlist.SHARE_PARAM)
+          ? GiftGuideWishlist.fromParam(params.get(GiftGuideWishlist.SHARE_PARAM))
+          : null;
+
+        this.onChange = () => {
+          this.updateCount();
+          if (this.isOpen() && !this.sharedItems) this.render();
+        };
+        this.onKeydown = (e) => {
+          if (e.key === 'Escape' && this.isOpen()) this.close();
+        };
+        document.addEventListener('giftGuideWishlist:change', this.onChange);
+        document.addEventListener('keydown', this.onKeydown);
+
+        this.querySelector('[data-gg-wishlist-open]').addEventListener('click', () => this.open());
+        this.querySelectorAll('[data-gg-wishlist-close]').forEach(button => {
+          button.addEventListener('click', () => this.close());
+        });
+        this.querySelector('[data-gg-wishlist-add-all]').addEventListener('click', () => this.addAllToCart());
+        this.querySelector('[data-gg-wishlist-share]').addEventListener('click', () => this.share());
+        this.querySelector('[data-gg-wishlist-own]').addEventListener('click', () => this.showOwnList());
+        this.list.addEventListener('click', (e) => {
+          const button = e.target.closest('[data-gg-wishlist-remove]');
+          if (button) this.wishlist.remove(button.dataset.ggWishlistRemove);
+        });
+
+        this.updateCount();
+        if (this.sharedItems) this.open();
+      }
+
+      disconnectedCallback() {
+        document.removeEventListener('giftGuideWishlist:change', this.onChange);
+        document.removeEventListener('keydown', this.onKeydown);
+        if (this.isOpen()) document.body.style.overflow = '';
+      }
+
+      getItems() {
+        return this.sharedItems || this.wishlist.items;
+      }
+
+      isOpen() {
+        return !this.drawer.hidden;
+      }
+
+      updateCount() {
+        const count = this.wishlist.items.length;
+        this.querySelector('[data-gg-wishlist-count]').textContent = count;
+        this.querySelector('[data-gg-wishlist-open]').hidden = count === 0 && !this.sharedItems;
+      }
+
+      open() {
+        this.lastFocusedElement = document.activeElement;
+        this.render();
+
+        this.drawer.hidden = false;
+        document.body.style.overflow = 'hidden';
+
+        const closeButton = this.drawer.querySelector('[data-gg-wishlist-close]');
+        if (typeof trapFocus === 'function') {
+          trapFocus(this.drawer, closeButton);
+        } else {
+          closeButton.focus();
+        }
+      }
+
+      close() {
+        this.drawer.hidden = true;
+        document.body.style.overflow = '';
+        this.setStatus('');
+
+        if (typeof removeTrapFocus === 'function') {
+          removeTrapFocus(this.lastFocusedElement);
+        } else if (this.lastFocusedElement) {
+          this.lastFocusedElement.focus();
+        }
+        this.lastFocusedElement = null;
+      }
+
+      // Leaves the read-only shared list for the shopper's own list
+      showOwnList() {
+        this.sharedItems = null;
+
+        const url = new URL(window.location.href);
+        url.searchParams.delete(GiftGuideWishlist.SHARE_PARAM);
+        history.replaceState(history.state, '', url.toString());
+
+        this.updateCount();
+        this.render();
+      }
+
+      // Products the grid already loaded aren't fetched again; removed products resolve to null
+      fetchProduct(handle) {
+        return this.productCache.get(handle).catch(() => null);
+      }
+
+      // The saved variant even when it is sold out; products saved from a tile get the first available one
+      resolveVariant(product, variantId) {
+        if (!product) return null;
+        if (variantId) return product.variants.find(variant => variant.id === variantId) || null;
+        return product.variants.find(variant => variant.available) || product.variants[0];
+      }
+
+      async render() {
+        const items = this.getItems();
+        const readOnly = Boolean(this.sharedItems);
+        const renderId = (this.renderId || 0) + 1;
+        this.renderId = renderId;
+
+        const heading = this.querySelector('[data-gg-wishlist-heading]');
+        heading.textContent = readOnly ? heading.dataset.sharedHeading : heading.dataset.heading;
+        this.querySelector('[data-gg-wishlist-own]').hidden = !readOnly;
+        this.querySelector('[data-gg-wishlist-share]').hidden = readOnly || items.length === 0;
+        this.querySelector('[data-gg-wishlist-empty]').hidden = items.length > 0;
+        this.querySelector('[data-gg-wishlist-add-all]').disabled = true;
+        this.handleErrorMessage();
+
+        this.list.setAttribute('aria-busy', 'true');
+        const products = await Promise.all(items.map(item => this.fetchProduct(item.handle)));
+        // A newer render started while prices were loading
+        if (renderId !== this.renderId) return;
+
+        this.resolvedItems = items.map((item, index) => ({
+          handle: item.handle,
+          product: products[index],
+          variant: this.resolveVariant(products[index], item.variantId)
+        }));
+
+        this.list.innerHTML = '';
+        this.resolvedItems.forEach(item => this.list.appendChild(this.buildItem(item, readOnly)));
+        this.list.removeAttribute('aria-busy');
+
+        this.querySelector('[data-gg-wishlist-add-all]').disabled = !this.resolvedItems.some(
+          item => item.variant && item.variant.available
+        );
+      }
+
+      buildItem({ handle, product, variant }, readOnly) {
+        const strings = window.giftGuideWishlistStrings;
+        const li = document.createElement('li');
+        li.className = 'gg-wishlist__item';
+
+        const image = product && (variant && variant.featured_image ? variant.featured_image.src : product.featured_image);
+        if (image) {
+          const img = document.createElement('img');
+          const url = new URL(image, window.location.origin);
+          url.searchParams.set('width', 160);
+          img.src = url.toString();
+          img.alt = '';
+          img.width = 80;
+          img.height = 80;
+          img.loading = 'lazy';
+          img.className = 'gg-wishlist__image';
+          li.appendChild(img);
+        }
+
+        const details = document.createElement('div');
+        details.className = 'gg-wishlist__details';
+
+        const title = document.createElement(product ? 'a' : 'p');
+        title.className = 'gg-wishlist__title';
+        title.textContent = product ? product.title : handle;
+        if (product) title.href = `${product.url || `/products/${handle}`}${variant ? `?variant=${variant.id}` : ''}`;
+        details.appendChild(title);
+
+        if (variant && product.variants.length > 1) {
+          const variantTitle = document.createElement('p');
+          variantTitle.className = 'gg-wishlist__variant';
+          variantTitle.textContent = variant.title;
+          details.appendChild(variantTitle);
+        }
+
+        const price = document.createElement('p');
+        price.className = 'gg-wishlist__price';
+        if (!variant) {
+          price.textContent = strings.unavailable;
+        } else {
+          price.textContent = formatMoney(variant.price);
+          if (!variant.available) price.textContent += ` - ${strings.soldOut}`;
+        }
+        details.appendChild(price);
+        li.appendChild(details);
+
+        if (!readOnly) {
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.className = 'gg-wishlist__remove';
+          remove.dataset.ggWishlistRemove = handle;
+          remove.setAttribute('aria-label', strings.remove.replace('[product]', product ? product.title : handle));
+          remove.textContent = '×';
+          li.appendChild(remove);
+        }
+
+        return li;
+      }
+
+      async addAllToCart() {
+        const button = this.querySelector('[data-gg-wishlist-add-all]');
+        const items = (this.resolvedItems || [])
+          .filter(item => item.variant && item.variant.available)
+          .map(item => ({ id: item.variant.id, quantity: 1 }));
+        if (items.length === 0) return;
+
+        button.disabled = true;
+        button.setAttribute('aria-busy', 'true');
+        this.handleErrorMessage();
+
+        try {
+          const cart = getCartElement();
+          const body = { items };
+          if (cart) {
+            body.sections = cart.getSectionsToRender().map(section => section.id);
+            body.sections_url = window.location.pathname;
+          }
+
+          // CartQueue (global.js) serializes the write and publishes cartUpdate once the cart settles
+          const cartData = await CartQueue.add(body, {
+            source: 'gift-guide-wishlist',
+            eventData: { productVariantId: items[0].id }
+          });
+
+          // Cart API errors (sold out, quantity limits) are shown verbatim
+          if (cartData.status) {
+            if (typeof publish === 'function' && typeof PUB_SUB_EVENTS !== 'undefined') {
+              publish(PUB_SUB_EVENTS.cartError, {
+                source: 'gift-guide-wishlist',
+                errors: cartData.errors || cartData.description,
+                message: cartData.message
+              });
+            }
+            this.handleErrorMessage(cartData.description || cartData.message || window.giftGuideWishlistStrings.addAllError);
+            return;
+          }
+
+          // Inventory changed - the next render should see fresh availability
+          this.resolvedItems.forEach(item => this.productCache.delete(item.handle));
+
+          if (!cart) {
+            window.location.href = (window.routes && window.routes.cart_url) || '/cart';
+            return;
+          }
+
+          // Drawer/notification expect a single line item response (key, id) with its sections
+          const parsedState = { ...(cartData.items || [])[0], sections: cartData.sections };
+
+          cart.setActiveElement(this.querySelector('[data-gg-wishlist-open]'));
+          this.close();
+          cart.classList.remove('is-empty');
+          cart.renderContents(parsedState);
+        } catch (error) {
+          console.error('Error adding gift list to cart:', error);
+          this.handleErrorMessage(window.giftGuideWishlistStrings.addAllError);
+        } finally {
+          button.disabled = false;
+          button.removeAttribute('aria-busy');
+        }
+      }
+
+      async share() {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set(GiftGuideWishlist.SHARE_PARAM, GiftGuideWishlist.toParam(this.wishlist.items));
+
+        try {
+          if (navigator.share) {
+            await navigator.share({ url: url.toString() });
+          } else {
+            await navigator.clipboard.writeText(url.toString());
+            this.setStatus(window.giftGuideWishlistStrings.shareSuccess);
+          }
+        } catch (error) {
+          // Share sheet dismissed
+        }
+      }
+
+      setStatus(message) {
+        this.querySelector('[data-gg-wishlist-status]').textContent = message;
+      }
+
+      handleErrorMessage(errorMessage = false) {
+        const error = this.querySelector('[data-gg-wishlist-error]');
+        error.hidden = !errorMessage;
+        error.textContent = errorMessage || '';
+      }
+    }
+  );
+}
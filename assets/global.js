@@ -307,6 +307,35 @@ function fetchConfig(type = 'json') {
   };
 }
 
+// Swaps the amount in a price rendered by the money filters for another one in cents, keeping its
+// currency symbol, separators and decimals (e.g. "$1,234.50 USD" or "1.234,50 €")
+function formatPriceLike(formattedPrice, cents) {
+  const amount = formattedPrice.match(/\d(?:[\d.,'\s]*\d)?/);
+  if (!amount) return formattedPrice;
+
+  const [, decimalSeparator = ''] = amount[0].match(/([.,])\d{2}$/) || [];
+  const integerPart = decimalSeparator ? amount[0].slice(0, -3) : amount[0];
+  const thousandsSeparator = integerPart.match(/\D/)?.[0] ?? (decimalSeparator === ',' ? '.' : ',');
+
+  const [whole, fraction] = (cents / 100).toFixed(decimalSeparator ? 2 : 0).split('.');
+  const formattedAmount =
+    whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousandsSeparator) + (fraction ? decimalSeparator + fraction : '');
+
+  return formattedPrice.replace(amount[0], formattedAmount);
+}
+
+function formatMoney(cents) {
+  if (typeof Shopify !== 'undefined' && Shopify.formatMoney) {
+    return Shopify.formatMoney(cents);
+  }
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+// The cart drawer or notification that shows added products, depending on the theme's cart type
+function getCartElement() {
+  return document.querySelector('cart-notification') || document.querySelector('cart-drawer');
+}
+
 /*
  * Shopify Common JS
  *
@@ -1330,3 +1359,374 @@ class CartPerformance {
     );
   }
 }
+
+/*
+ * Gift Guide product data cache
+ *
+ * Shares /products/{handle}.js requests between the Gift Guide grid (tiles, prefetching, bonus products)
+ * and the gift list panel: concurrent calls reuse the request in flight and entries older than maxAge
+ * are refetched.
+ */
+class GiftGuideProductCache {
+  static DEFAULT_MAX_AGE = 5 * 60 * 1000;
+
+  static shared = new GiftGuideProductCache();
+
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(handle, maxAge = GiftGuideProductCache.DEFAULT_MAX_AGE) {
+    this.prune(maxAge);
+
+    const entry = this.entries.get(handle);
+    if (entry) return entry.promise;
+
+    const promise = fetch(`/products/${handle}.js`).then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return response.json();
+    });
+
+    this.entries.set(handle, { promise, timestamp: Date.now() });
+
+    // Failed requests are never cached
+    promise.catch(() => {
+      if (this.entries.get(handle)?.promise === promise) {
+        this.entries.delete(handle);
+      }
+    });
+
+    return promise;
+  }
+
+  prefetch(handle, maxAge) {
+    this.get(handle, maxAge).catch(() => {});
+  }
+
+  delete(handle) {
+    this.entries.delete(handle);
+  }
+
+  prune(maxAge) {
+    const now = Date.now();
+    this.entries.forEach((entry, handle) => {
+      if (now - entry.timestamp >= maxAge) {
+        this.entries.delete(handle);
+      }
+    });
+  }
+}
+
+/*
+ * Cart mutation queue
+ *
+ * Every cart write (/cart/add, /cart/change, /cart/update) goes through CartQueue so requests reach the
+ * Cart API one at a time, in the order they were made:
+ * - a change or update still waiting in the queue absorbs a newer one for the same line or keys
+ * - sections in responses superseded by later writes are re-rendered before callers get them,
+ *   so stale HTML is never painted
+ * - once the queue is empty, a single PUB_SUB_EVENTS.cartUpdate carries the final cart when the writes
+ *   returned one (change, update) or several writes were combined; a lone add publishes cart: null
+ *
+ * Callers no longer publish cartUpdate themselves; they pass their source (and any extra event data)
+ * and get the Cart API response, error responses included, once it is safe to render.
+ */
+class CartQueue {
+  static SOURCE = 'cart-queue';
+  static MAX_SECTIONS = 5;
+
+  static #queue = [];
+  static #running = false;
+
+  static add(body, options) {
+    return CartQueue.#enqueue('add', routes.cart_add_url, body, options);
+  }
+
+  static change(body, options) {
+    return CartQueue.#enqueue('change', routes.cart_change_url, body, options);
+  }
+
+  static update(body, options) {
+    return CartQueue.#enqueue('update', routes.cart_update_url, body, options);
+  }
+
+  // publish: false keeps writes that don't change the items (e.g. the cart note) out of cartUpdate
+  static #enqueue(type, url, body, { source = CartQueue.SOURCE, eventData = {}, publish = true } = {}) {
+    return new Promise((resolve, reject) => {
+      const mutation = { type, url, body, eventData, publish, sources: [source], callers: [{ resolve, reject }] };
+      const pending = CartQueue.#queue[CartQueue.#queue.length - 1];
+
+      if (!pending || !CartQueue.#merge(pending, mutation)) {
+        CartQueue.#queue.push(mutation);
+      }
+      CartQueue.#run();
+    });
+  }
+
+  // Only the last waiting request is merged into, so writes still reach the cart in order
+  static #merge(pending, mutation) {
+    if (pending.type !== mutation.type || pending.publish !== mutation.publish) return false;
+    if (pending.body instanceof FormData || mutation.body instanceof FormData) return false;
+
+    const { sections: pendingSections = [], sections_url: pendingSectionsUrl, ...pendingFields } = pending.body;
+    const { sections = [], sections_url: sectionsUrl, ...fields } = mutation.body;
+    if (pendingSectionsUrl !== sectionsUrl) return false;
+
+    let merged;
+    if (mutation.type === 'change') {
+      const sameLine = fields.line !== undefined && fields.line === pendingFields.line;
+      const sameItem = fields.id !== undefined && String(fields.id) === String(pendingFields.id);
+      if (!sameLine && !sameItem) return false;
+
+      merged = { ...pendingFields, ...fields };
+    } else if (mutation.type === 'update') {
+      if (Array.isArray(pendingFields.updates) || Array.isArray(fields.updates)) return false;
+
+      merged = { ...pendingFields, ...fields };
+      if (pendingFields.updates || fields.updates) merged.updates = { ...pendingFields.updates, ...fields.updates };
+      if (pendingFields.attributes || fields.attributes) {
+        merged.attributes = { ...pendingFields.attributes, ...fields.attributes };
+      }
+    } else {
+      return false;
+    }
+
+    const mergedSections = [...new Set([...[].concat(pendingSections), ...[].concat(sections)])];
+    if (mergedSections.length > CartQueue.MAX_SECTIONS) return false;
+    if (mergedSections.length > 0) {
+      merged.sections = mergedSections;
+      merged.sections_url = sectionsUrl;
+    }
+
+    pending.body = merged;
+    pending.eventData = { ...pending.eventData, ...mutation.eventData };
+    pending.sources = [...new Set([...pending.sources, ...mutation.sources])];
+    pending.callers.push(...mutation.callers);
+    return true;
+  }
+
+  static async #run() {
+    if (CartQueue.#running) return;
+    CartQueue.#running = true;
+
+    let completed = [];
+    try {
+      while (CartQueue.#queue.length > 0) {
+        const mutation = CartQueue.#queue.shift();
+
+        try {
+          const response = await CartQueue.#send(mutation);
+
+          // Rejected writes didn't change the cart - callers show the error right away
+          if (response.status || response.errors) {
+            mutation.callers.forEach(({ resolve }) => resolve(response));
+          } else {
+            completed.push({ mutation, response });
+          }
+        } catch (error) {
+          mutation.callers.forEach(({ reject }) => reject(error));
+        }
+
+        if (CartQueue.#queue.length > 0 || completed.length === 0) continue;
+
+        const cart = await CartQueue.#finalize(completed);
+
+        // Writes made in the meantime supersede these responses as well
+        if (CartQueue.#queue.length > 0) continue;
+
+        const settled = completed;
+        completed = [];
+        try {
+          CartQueue.#publish(settled, cart);
+        } finally {
+          settled.forEach(({ mutation, response }) => mutation.callers.forEach(({ resolve }) => resolve(response)));
+        }
+      }
+    } catch (error) {
+      completed.forEach(({ mutation }) => mutation.callers.forEach(({ reject }) => reject(error)));
+    } finally {
+      // Whatever went wrong, later writes must still be sent
+      CartQueue.#running = false;
+      if (CartQueue.#queue.length > 0) CartQueue.#run();
+    }
+  }
+
+  static async #send({ url, body }) {
+    const config =
+      body instanceof FormData
+        ? { method: 'POST', headers: { Accept: 'application/javascript', 'X-Requested-With': 'XMLHttpRequest' }, body }
+        : { ...fetchConfig(), body: JSON.stringify(body) };
+
+    const response = await fetch(url, config);
+    return response.json();
+  }
+
+  // Re-renders the sections of superseded responses and returns the final cart, or null when the only
+  // write didn't answer with one - its own response is all its subscribers need
+  static async #finalize(completed) {
+    const latest = completed[completed.length - 1];
+
+    try {
+      await CartQueue.#refreshSections(completed.slice(0, -1), latest);
+    } catch (error) {
+      console.error(error);
+    }
+
+    if (latest.response.item_count !== undefined) return latest.response;
+    if (completed.length === 1) return null;
+
+    try {
+      const response = await fetch(`${routes.cart_url}.js`);
+      return await response.json();
+    } catch (error) {
+      console.error(error);
+      return null;
+    }
+  }
+
+  static async #refreshSections(outdated, latest) {
+    const latestUrl = CartQueue.#getSectionsUrl(latest.mutation.body);
+    const latestSections = latest.response.sections || {};
+    const requests = new Map();
+
+    outdated.forEach(({ mutation, response }) => {
+      if (!response.sections) return;
+
+      const url = CartQueue.#getSectionsUrl(mutation.body);
+      Object.keys(response.sections).forEach((id) => {
+        if (url === latestUrl && latestSections[id] !== undefined) return;
+        if (!requests.has(url)) requests.set(url, new Set());
+        requests.get(url).add(id);
+      });
+    });
+
+    const rendered = new Map();
+    for (const [url, ids] of requests) {
+      const sectionIds = [...ids];
+      const sections = {};
+
+      for (let i = 0; i < sectionIds.length; i += CartQueue.MAX_SECTIONS) {
+        const chunk = sectionIds.slice(i, i + CartQueue.MAX_SECTIONS);
+        const response = await fetch(`${url}${url.includes('?') ? '&' : '?'}sections=${chunk.join(',')}`);
+        Object.assign(sections, await response.json());
+      }
+      rendered.set(url, sections);
+    }
+
+    outdated.forEach(({ mutation, response }) => {
+      if (!response.sections) return;
+
+      const url = CartQueue.#getSectionsUrl(mutation.body);
+      const fresh = { ...(url === latestUrl ? latestSections : {}), ...rendered.get(url) };
+      Object.keys(response.sections).forEach((id) => {
+        if (fresh[id] !== undefined) response.sections[id] = fresh[id];
+      });
+    });
+  }
+
+  static #getSectionsUrl(body) {
+    const url = body instanceof FormData ? body.get('sections_url') : body.sections_url;
+    return url || window.location.pathname;
+  }
+
+  static #publish(completed, cart) {
+    const published = completed.filter(({ mutation }) => mutation.publish);
+    if (published.length === 0) return;
+
+    const latest = published[published.length - 1];
+    const sources = [...new Set(published.flatMap(({ mutation }) => mutation.sources))];
+    const benchmarkName = `${latest.mutation.type}:wait-for-subscribers`;
+    const startMarker = CartPerformance.createStartingMarker(benchmarkName);
+
+    // A single source keeps its name so components can still skip updates they rendered themselves.
+    // publish() calls subscribers synchronously, so a throwing subscriber must not escape into #run.
+    try {
+      publish(PUB_SUB_EVENTS.cartUpdate, {
+        ...latest.mutation.eventData,
+        source: sources.length === 1 ? sources[0] : CartQueue.SOURCE,
+        sources,
+        cartData: latest.response,
+        cart,
+      })
+        .then(() => {
+          CartPerformance.measureFromMarker(benchmarkName, startMarker);
+        })
+        .catch((error) => console.error(error));
+    } catch (error) {
+      console.error(error);
+    }
+  }
+}
+
+/*
+ * Cross-tab cart sync
+ *
+ * Every PUB_SUB_EVENTS.cartUpdate is passed on to the store's other open tabs through a BroadcastChannel,
+ * or localStorage "storage" events where BroadcastChannel isn't supported. Receiving tabs publish it as
+ * their own cartUpdate with source CartSync.SOURCE and the sending tab's cart, so components refresh the
+ * way they do for local changes (CartItems.onCartUpdate re-renders the drawer, bubble and cart page).
+ * /cart.js is only fetched when the sending tab published no cart (a lone add). Received updates are
+ * never sent back out.
+ */
+class CartSync {
+  static SOURCE = 'cart-sync';
+  static CHANNEL_NAME = 'cart-sync';
+  static STORAGE_KEY = 'cart-sync';
+
+  static #channel = null;
+
+  static init() {
+    if ('BroadcastChannel' in window) {
+      CartSync.#channel = new BroadcastChannel(CartSync.CHANNEL_NAME);
+      CartSync.#channel.addEventListener('message', (event) => CartSync.#receive(event.data));
+    } else {
+      window.addEventListener('storage', (event) => {
+        if (event.key !== CartSync.STORAGE_KEY || !event.newValue) return;
+
+        try {
+          CartSync.#receive(JSON.parse(event.newValue));
+        } catch (error) {
+          console.error(error);
+        }
+      });
+    }
+
+    subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+      if (event.source === CartSync.SOURCE) return;
+      CartSync.#send({ sources: event.sources || [event.source], cart: event.cart || null });
+    });
+  }
+
+  static #send(message) {
+    if (CartSync.#channel) {
+      CartSync.#channel.postMessage(message);
+      return;
+    }
+
+    // The timestamp changes the stored value, otherwise repeating the same cart wouldn't fire "storage"
+    try {
+      localStorage.setItem(CartSync.STORAGE_KEY, JSON.stringify({ ...message, timestamp: Date.now() }));
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  static async #receive({ sources = [], cart = null } = {}) {
+    // Missing after a lone add, whose response only holds the added lines
+    if (!cart) {
+      try {
+        const response = await fetch(`${routes.cart_url}.js`);
+        cart = await response.json();
+      } catch (error) {
+        console.error(error);
+        return;
+      }
+    }
+
+    publish(PUB_SUB_EVENTS.cartUpdate, { source: CartSync.SOURCE, sources, cartData: cart, cart });
+  }
+}
+
+CartSync.init();
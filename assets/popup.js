@@ -1,470 +1,1849 @@
 /**
  * Gift Guide Product Modal - Production Ready Implementation
  * Features: Modal management, variant selection, add to cart with bonus product logic
- * Special: Auto-adds bonus product when Color=Black AND Size=Medium
+ * Cart: Adds through CartQueue (global.js), which publishes cartUpdate, then renders into the theme's
+ *       cart drawer/notification; redirects to the cart page only when the theme's cart type is "page"
+ * Special: Auto-adds bonus products for variants matching the section's bonus rules; the lines are
+ *          linked so gift-guide-bonus-sync.js keeps bonuses in step with later cart changes
  * 
+ * Each grid-six-products section renders a <gift-guide-grid> element that owns its tiles, bonus rules
+ * and modal, so several grids can live on one page. Re-rendered sections (theme editor
+ * shopify:section:load) disconnect the old element and initialize the new one. Block selection and
+ * section unload in the editor are forwarded by theme-editor.js.
+ *
  * DOM Structure Expected:
- * - Section wrapper: .grid-six-products[data-bonus-handle]
+ * - Section wrapper: gift-guide-grid.grid-six-products[data-section-id]
+ * - Bonus rules: script[data-gg-bonus-rules] (JSON rendered from "Bonus rule" blocks)
  * - Product tiles: .gg-product-tile[data-product-handle]
- * - Modal: [data-gg-modal]
- * - Modal elements: [data-gg-title], [data-gg-price], [data-gg-image], [data-gg-description]
+ * - Product tiles open the modal through their button[data-gg-tile-open]
+ * - Modal: dialog[data-gg-modal] opened with showModal(), labelled by [data-gg-title] and described by
+ *   [data-gg-description]
+ * - Modal elements: [data-gg-title], [data-gg-price], [data-gg-description]
+ * - Media gallery: [data-gg-gallery-viewport] slides, [data-gg-gallery-thumbnails] thumbnail strip
  * - Form: [data-gg-form], submit button: [data-gg-submit]
+ * - Product section mode: [data-gg-section-content] replaces the built-in body with the gift-guide-product
+ *   section (price, variant picker, quantity, buy buttons) rendered through the Section Rendering API
+ * - Quantity: quantity-input > [data-gg-quantity-input], rules text: [data-gg-quantity-rules]
+ * - Gift options: [data-gg-gift-toggle] enabling fieldset[data-gg-gift-fields] of properties[...] fields,
+ *   [data-gg-gift-note] with [data-gg-gift-note-count], [data-gg-gift-wrap] holding the wrap variant id
+ * - Share: [data-gg-share] button, [data-gg-share-status] live region
+ * - Wishlist: [data-gg-modal-wishlist] heart, kept pointing at the selected variant for gift-guide-wishlist.js
+ * - Errors: [data-gg-error] inline alert in the modal, [data-gg-toast] while the modal is closed
+ * - Variant selectors container: [data-gg-variant-selectors]
+ * - Strings: window.giftGuideStrings (rendered from locales by the section)
+ *
+ * Analytics: GiftGuideAnalytics emits giftGuide:<name> events for tile impressions and clicks,
+ * modal open/close, variant changes, add to cart results and bonus products
+ *
+ * Deep links: opening a tile pushes ?gift=handle&variant=id, loading that URL opens the modal
+ * with the variant selected, and Back/Forward close or reopen it
  */
 
-class GiftGuideModal {
-  constructor() {
-    this.modal = null;
-    this.currentProduct = null;
-    this.bonusHandle = null;
-    this.variantMap = new Map();
-    this.section = null;
-    this.focusableElements = [];
-    this.lastFocusedElement = null;
-    
-    this.init();
-  }
+// popup.js is rendered by every grid-six-products section - only define once
+if (!customElements.get('gift-guide-grid')) {
+  /**
+   * Bonus rule engine
+   * A rule matches when every filled-in condition holds for the product/variant being added:
+   * - options: [{ name, value }] compared against the variant's option values ("exact" or "contains")
+   * - productHandle / productTag: restrict the rule to one product or a tag
+   * - minQuantity: minimum quantity being added
+   */
+  class GiftGuideBonusRules {
+    constructor(rules = []) {
+      this.rules = Array.isArray(rules) ? rules : [];
+    }
+
+    static fromElement(element) {
+      if (!element) return new GiftGuideBonusRules();
+
+      try {
+        return new GiftGuideBonusRules(JSON.parse(element.textContent));
+      } catch (error) {
+        console.error('GiftGuideBonusRules: Invalid rules JSON', error);
+        return new GiftGuideBonusRules();
+      }
+    }
+
+    getMatchingRules(product, variant, quantity = 1) {
+      if (!product || !variant) return [];
+      return this.rules.filter(rule => this.ruleMatches(rule, product, variant, quantity));
+    }
 
-  init() {
-    // Find the grid section and get bonus handle
-    this.section = document.querySelector('.grid-six-products');
-    if (!this.section) {
-      console.error('GiftGuideModal: Grid section not found');
-      return;
+    ruleMatches(rule, product, variant, quantity) {
+      if (!rule.bonusHandle) return false;
+
+      if (rule.productHandle && rule.productHandle !== product.handle) return false;
+
+      if (rule.productTag) {
+        const tag = rule.productTag.toLowerCase();
+        const tags = (product.tags || []).map(value => value.toLowerCase());
+        if (!tags.includes(tag)) return false;
+      }
+
+      if (quantity < (parseInt(rule.minQuantity) || 1)) return false;
+
+      return (rule.options || [])
+        .filter(condition => condition.value)
+        .every(condition => this.optionMatches(condition, rule.match, product, variant));
     }
 
-    this.bonusHandle = this.section.dataset.bonusHandle || 'dark-winter-jacket';
-    this.modal = document.querySelector('[data-gg-modal]');
-    
-    if (!this.modal) {
-      console.error('GiftGuideModal: Modal not found');
-      return;
+    optionMatches(condition, matchType, product, variant) {
+      const expected = condition.value.toLowerCase();
+      const values = this.getOptionValues(condition.name, product, variant);
+
+      return values.some(value => 
+        matchType === 'exact' ? value === expected : value.includes(expected)
+      );
     }
 
-    this.bindEvents();
-    this.setupFocusTrap();
+    getOptionValues(optionName, product, variant) {
+      const values = [variant.option1, variant.option2, variant.option3];
+
+      // Without an option name, any of the variant's option values can match
+      if (!optionName) {
+        return values.filter(Boolean).map(value => value.toLowerCase());
+      }
+
+      const index = (product.options || []).findIndex(option => 
+        option.name.toLowerCase() === optionName.toLowerCase()
+      );
+      if (index === -1 || !values[index]) return [];
+
+      return [values[index].toLowerCase()];
+    }
   }
 
-  bindEvents() {
-    // Product tile clicks
-    const productTiles = this.section.querySelectorAll('.gg-product-tile');
-    productTiles.forEach(tile => {
-      tile.addEventListener('click', (e) => {
-        const handle = tile.dataset.productHandle;
-        if (handle) {
-          this.openModal(handle);
-        }
-      });
-    });
+  /**
+   * Funnel analytics
+   * Every event is dispatched on document as a `giftGuide:<name>` CustomEvent and published on the
+   * theme's pub/sub bus (PUB_SUB_EVENTS.giftGuideAnalytics) with the same payload:
+   * { name, sectionId, listName, item | items, ... }, prices in cents.
+   * When the section's "Send events to dataLayer" setting is on, events are also pushed to
+   * window.dataLayer - ecommerce events in GA4 format, the rest as gift_guide_<name> events.
+   */
+  class GiftGuideAnalytics {
+    static GA4_EVENTS = {
+      tileImpression: 'view_item_list',
+      tileClick: 'select_item',
+      modalOpen: 'view_item',
+      addToCart: 'add_to_cart'
+    };
 
-    // Modal close events
-    const closeBtn = this.modal.querySelector('[data-gg-close]');
-    if (closeBtn) {
-      closeBtn.addEventListener('click', () => this.closeModal());
+    constructor(section) {
+      this.sectionId = section.dataset.sectionId;
+      this.listName = (section.querySelector('.grid-heading')?.textContent || '').trim();
+      this.dataLayerEnabled = section.dataset.analyticsDataLayer === 'true';
     }
 
-    // Backdrop click
-    this.modal.addEventListener('click', (e) => {
-      if (e.target === this.modal) {
-        this.closeModal();
+    track(name, detail = {}) {
+      // Theme editor previews aren't shopper traffic
+      if (window.Shopify && Shopify.designMode) return;
+
+      const payload = { name, sectionId: this.sectionId, listName: this.listName, ...detail };
+
+      document.dispatchEvent(new CustomEvent(`giftGuide:${name}`, { detail: payload }));
+
+      if (typeof publish === 'function' && typeof PUB_SUB_EVENTS !== 'undefined' && PUB_SUB_EVENTS.giftGuideAnalytics) {
+        publish(PUB_SUB_EVENTS.giftGuideAnalytics, payload);
       }
-    });
 
-    // Escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.isModalOpen()) {
-        this.closeModal();
+      if (this.dataLayerEnabled) {
+        this.pushToDataLayer(payload);
+      }
+    }
+
+    pushToDataLayer(payload) {
+      window.dataLayer = window.dataLayer || [];
+
+      const items = (payload.items || (payload.item ? [payload.item] : [])).map(item => this.toGa4Item(item));
+      const ecommerceEvent = GiftGuideAnalytics.GA4_EVENTS[payload.name];
+
+      if (!ecommerceEvent) {
+        const params = { ...payload, items };
+        delete params.name;
+        delete params.item;
+
+        window.dataLayer.push({
+          event: `gift_guide_${payload.name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)}`,
+          gift_guide: params
+        });
+        return;
+      }
+
+      const ecommerce = {
+        item_list_id: this.sectionId,
+        item_list_name: this.listName,
+        items
+      };
+
+      // view_item and add_to_cart carry a value; list events don't
+      if (payload.name === 'modalOpen' || payload.name === 'addToCart') {
+        ecommerce.currency = window.Shopify?.currency?.active;
+        ecommerce.value = items.reduce((total, item) => total + item.price * item.quantity, 0);
       }
-    });
 
-    // Form submission
-    const form = this.modal.querySelector('[data-gg-form]');
-    if (form) {
-      form.addEventListener('submit', (e) => this.handleAddToCart(e));
+      // Clear the previous ecommerce object so GA4 doesn't merge items across events
+      window.dataLayer.push({ ecommerce: null });
+      window.dataLayer.push({ event: ecommerceEvent, ecommerce });
+    }
+
+    toGa4Item(item) {
+      const ga4Item = {
+        item_id: String(item.productId || item.handle),
+        item_name: item.title,
+        price: (item.price || 0) / 100,
+        quantity: item.quantity || 1,
+        item_list_id: this.sectionId,
+        item_list_name: this.listName
+      };
+      if (item.variantTitle) ga4Item.item_variant = item.variantTitle;
+      if (item.index !== undefined) ga4Item.index = item.index;
+      return ga4Item;
     }
   }
 
-  setupFocusTrap() {
-    // Get all focusable elements in modal
-    this.focusableElements = this.modal.querySelectorAll(
-      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-    );
+  class GiftGuideModal {
+    // Section rendered into the modal when the grid's "Modal content" is "Product section"
+    static PRODUCT_SECTION = 'gift-guide-product';
+
+    // Line properties of gift-guide-bonus-sync.js, used if that script failed to load or isn't rendered
+    static BONUS_LINK = {
+      TRIGGER_PROPERTY: '_gift_guide_bonuses',
+      BONUS_PROPERTY: '_gift_guide_bonus',
+      getBonusKey: (triggerVariantId, ruleId) => `${triggerVariantId}:${ruleId}`
+    };
+
+    // Colour names that aren't valid CSS colours, used when an option value has no swatch
+    static COLOR_NAMES = {
+      'charcoal': '#36454f',
+      'heather grey': '#9a9a9a',
+      'heather gray': '#9a9a9a',
+      'cream': '#fffdd0',
+      'burgundy': '#800020',
+      'camel': '#c19a6b',
+      'mustard': '#e1ad01',
+      'rust': '#b7410e',
+      'sand': '#c2b280',
+      'stone': '#c2b8a3',
+      'denim': '#1560bd'
+    };
 
-    // Handle tab key navigation
-    this.modal.addEventListener('keydown', (e) => {
-      if (e.key === 'Tab') {
-        this.handleTabNavigation(e);
+    constructor(section) {
+      this.modal = null;
+      this.currentProduct = null;
+      this.bonusRules = null;
+      this.variantMap = new Map();
+      this.selectedOptions = ['', '', ''];
+      this.currentSwatches = {};
+      this.galleryMedia = [];
+      this.cartQuantities = new Map();
+      this.cartBonusKeys = new Set();
+      this.historyEntryPushed = false;
+      this.productCache = GiftGuideProductCache.shared;
+      this.cacheMaxAge = GiftGuideProductCache.DEFAULT_MAX_AGE;
+      this.prefetchObserver = null;
+      this.toast = null;
+      this.toastTimeout = null;
+      this.toastRetryAction = null;
+      this.retryAction = null;
+      this.activeMediaIndex = 0;
+      this.section = section;
+      this.sectionId = section.dataset.sectionId;
+      this.onPopState = this.handlePopState.bind(this);
+      this.lastFocusedElement = null;
+      this.purchased = false;
+      this.analytics = new GiftGuideAnalytics(section);
+      this.sectionContent = null;
+      this.sectionVariant = null;
+      this.sectionUnsubscribers = [];
+
+      this.init();
+    }
+
+    init() {
+      // Read this grid's bonus rules
+      this.bonusRules = GiftGuideBonusRules.fromElement(
+        this.section.querySelector('[data-gg-bonus-rules]')
+      );
+
+      const cacheMinutes = parseFloat(this.section.dataset.cacheMinutes);
+      if (cacheMinutes > 0) {
+        this.cacheMaxAge = cacheMinutes * 60 * 1000;
       }
-    });
-  }
+      this.modal = this.section.querySelector('[data-gg-modal]');
 
-  handleTabNavigation(e) {
-    const firstElement = this.focusableElements[0];
-    const lastElement = this.focusableElements[this.focusableElements.length - 1];
+      if (!this.modal) {
+        console.error('GiftGuideModal: Modal not found');
+        return;
+      }
 
-    if (e.shiftKey) {
-      // Shift + Tab
-      if (document.activeElement === firstElement) {
-        e.preventDefault();
-        lastElement.focus();
+      this.sectionContent = this.modal.querySelector('[data-gg-section-content]');
+
+      this.bindEvents();
+      this.setupPrefetch();
+      this.setupImpressionTracking();
+      this.openFromUrl();
+    }
+
+    bindEvents() {
+      // Each tile's open button (Enter/Space come with the native button)
+      const openButtons = this.section.querySelectorAll('[data-gg-tile-open]');
+      openButtons.forEach(button => {
+        button.addEventListener('click', () => {
+          const tile = button.closest('.gg-product-tile');
+          const handle = tile && tile.dataset.productHandle;
+          if (handle) {
+            this.analytics.track('tileClick', { item: this.getTileAnalyticsItem(tile) });
+            this.openModal(handle);
+          }
+        });
+      });
+
+      // Back/Forward close or reopen the modal
+      window.addEventListener('popstate', this.onPopState);
+
+      // Share the deep link for the selected variant
+      const shareBtn = this.modal.querySelector('[data-gg-share]');
+      if (shareBtn) {
+        shareBtn.addEventListener('click', () => this.shareProduct());
+      }
+
+      // Modal close events
+      const closeBtn = this.modal.querySelector('[data-gg-close]');
+      if (closeBtn) {
+        closeBtn.addEventListener('click', () => this.closeModal());
       }
-    } else {
-      // Tab
-      if (document.activeElement === lastElement) {
+
+      // Backdrop click - the dialog itself only receives clicks outside .modal-content
+      this.modal.addEventListener('click', (e) => {
+        if (e.target === this.modal) {
+          this.closeModal();
+        }
+      });
+
+      // Escape fires cancel on the dialog; close through closeModal so history and state are reset
+      this.modal.addEventListener('cancel', (e) => {
         e.preventDefault();
-        firstElement.focus();
+        this.closeModal();
+      });
+
+      // The browser may still close the dialog without cancel (e.g. repeated Escape) - catch up
+      this.modal.addEventListener('close', () => {
+        if (this.currentProduct) this.closeModal();
+      });
+
+      // Gallery swipes
+      const galleryViewport = this.modal.querySelector('[data-gg-gallery-viewport]');
+      if (galleryViewport) {
+        let scrollFrame = null;
+        galleryViewport.addEventListener('scroll', () => {
+          cancelAnimationFrame(scrollFrame);
+          scrollFrame = requestAnimationFrame(() => this.handleGalleryScroll());
+        });
+      }
+
+      // Quantity validation
+      const quantityInput = this.modal.querySelector('[data-gg-quantity-input]');
+      if (quantityInput) {
+        quantityInput.addEventListener('change', () => this.validateQuantity());
+      }
+
+      // Gift options
+      const giftToggle = this.modal.querySelector('[data-gg-gift-toggle]');
+      if (giftToggle) {
+        giftToggle.addEventListener('change', () => this.toggleGiftFields(giftToggle.checked));
+      }
+
+      const giftNote = this.modal.querySelector('[data-gg-gift-note]');
+      if (giftNote) {
+        giftNote.addEventListener('input', () => this.updateGiftNoteCount());
+      }
+
+      // Retry actions for network errors
+      const retryBtn = this.modal.querySelector('[data-gg-retry]');
+      if (retryBtn) {
+        retryBtn.addEventListener('click', () => {
+          const retry = this.retryAction;
+          this.handleErrorMessage();
+          if (retry) retry();
+        });
+      }
+
+      this.toast = this.section.querySelector('[data-gg-toast]');
+      if (this.toast) {
+        this.toast.querySelector('[data-gg-toast-retry]').addEventListener('click', () => {
+          const retry = this.toastRetryAction;
+          this.hideToast();
+          if (retry) retry();
+        });
+        this.toast.querySelector('[data-gg-toast-close]').addEventListener('click', () => this.hideToast());
+      }
+
+      // Form submission
+      const form = this.modal.querySelector('[data-gg-form]');
+      if (form) {
+        form.addEventListener('submit', (e) => this.handleAddToCart(e));
+      }
+
+      // Product section mode: product-info.js and product-form.js report variant changes and cart results
+      if (this.sectionContent && typeof subscribe === 'function' && typeof PUB_SUB_EVENTS !== 'undefined') {
+        this.sectionUnsubscribers = [
+          subscribe(PUB_SUB_EVENTS.variantChange, (event) => this.handleSectionVariantChange(event.data)),
+          subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => this.handleSectionCartUpdate(event)),
+          subscribe(PUB_SUB_EVENTS.cartError, (event) => this.handleSectionCartError(event))
+        ];
       }
     }
-  }
 
-  async openModal(handle) {
-    try {
-      this.showLoadingState();
-      await this.loadProduct(handle);
-      this.showModal();
-    } catch (error) {
-      console.error('Error opening modal:', error);
-      this.showError('Failed to load product. Please try again.');
-    } finally {
-      this.hideLoadingState();
+    // Removes document/window listeners when the grid leaves the page (e.g. re-rendered in the theme editor)
+    destroy() {
+      window.removeEventListener('popstate', this.onPopState);
+      clearTimeout(this.toastTimeout);
+      this.sectionUnsubscribers.forEach(unsubscribe => unsubscribe());
+      this.sectionUnsubscribers = [];
+
+      if (this.prefetchObserver) {
+        this.prefetchObserver.disconnect();
+        this.prefetchObserver = null;
+      }
+
+      if (this.impressionObserver) {
+        this.impressionObserver.disconnect();
+        this.impressionObserver = null;
+      }
+
+      if (this.modal && this.isModalOpen()) {
+        document.body.style.overflow = '';
+      }
     }
-  }
 
-  async loadProduct(handle) {
-    try {
-      // Use the .js endpoint as specified
-      const response = await fetch(`/products/${handle}.js`);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+    // Warm the product cache before a tile is clicked
+    setupPrefetch() {
+      const productTiles = this.section.querySelectorAll('.gg-product-tile');
+      const prefetchTile = (tile) => {
+        if (tile.dataset.productHandle) {
+          this.productCache.prefetch(tile.dataset.productHandle, this.cacheMaxAge);
+        }
+      };
+
+      productTiles.forEach(tile => {
+        tile.addEventListener('pointerenter', () => prefetchTile(tile));
+        tile.addEventListener('focusin', () => prefetchTile(tile));
+      });
+
+      // Viewport prefetching is skipped when the shopper asked to save data
+      const saveData = navigator.connection && navigator.connection.saveData;
+      if (saveData || !('IntersectionObserver' in window)) return;
+
+      this.prefetchObserver = new IntersectionObserver((entries, observer) => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          observer.unobserve(entry.target);
+          prefetchTile(entry.target);
+        });
+      }, { rootMargin: '0px 0px 200px 0px' });
+
+      productTiles.forEach(tile => this.prefetchObserver.observe(tile));
+    }
+
+    // Tiles count as seen once half of them is on screen, each at most once per page view
+    setupImpressionTracking() {
+      if (!('IntersectionObserver' in window)) return;
+
+      this.impressionObserver = new IntersectionObserver((entries, observer) => {
+        const tiles = entries.filter(entry => entry.isIntersecting).map(entry => entry.target);
+        if (tiles.length === 0) return;
+
+        tiles.forEach(tile => observer.unobserve(tile));
+        this.analytics.track('tileImpression', { items: tiles.map(tile => this.getTileAnalyticsItem(tile)) });
+      }, { threshold: 0.5 });
+
+      this.section.querySelectorAll('.gg-product-tile').forEach(tile => this.impressionObserver.observe(tile));
+    }
+
+    getTileAnalyticsItem(tile) {
+      const tiles = Array.from(this.section.querySelectorAll('.gg-product-tile'));
+      return {
+        productId: Number(tile.dataset.productId) || null,
+        handle: tile.dataset.productHandle,
+        title: (tile.querySelector('.product-title')?.textContent || '').trim(),
+        price: Number(tile.dataset.productPrice) || 0,
+        index: tiles.indexOf(tile)
+      };
+    }
+
+    getAnalyticsItem(variant = this.getSelectedVariant(), quantity = 1) {
+      return {
+        productId: this.currentProduct.id,
+        handle: this.currentProduct.handle,
+        title: this.currentProduct.title,
+        variantId: variant ? variant.id : null,
+        variantTitle: variant && this.currentProduct.variants.length > 1 ? variant.title : null,
+        price: variant ? variant.price : this.currentProduct.price,
+        quantity
+      };
+    }
+
+    // Line items from the /cart/add.js response
+    getLineAnalyticsItem(line) {
+      return {
+        productId: line.product_id,
+        handle: line.handle,
+        title: line.product_title,
+        variantId: line.variant_id,
+        variantTitle: line.product_has_only_default_variant ? null : line.variant_title,
+        price: line.final_price,
+        quantity: line.quantity
+      };
+    }
+
+    prefetchBonusProducts() {
+      this.bonusRules.rules.forEach(rule => {
+        if (rule.bonusHandle) {
+          this.productCache.prefetch(rule.bonusHandle, this.cacheMaxAge);
+        }
+      });
+    }
+
+    async openModal(handle, { variantId = null, updateHistory = true } = {}) {
+      try {
+        this.showLoadingState();
+        await this.loadProduct(handle, variantId);
+        this.showModal();
+        this.prefetchBonusProducts();
+        this.purchased = false;
+        this.analytics.track('modalOpen', { item: this.getAnalyticsItem() });
+
+        if (updateHistory) {
+          history.pushState({ giftGuide: this.sectionId }, '', this.getDeepLinkUrl());
+          this.historyEntryPushed = true;
+        } else {
+          this.updateHistoryVariant();
+        }
+      } catch (error) {
+        console.error('Error opening modal:', error);
+        this.showToast(window.giftGuideStrings.loadError, () => this.openModal(handle, { variantId, updateHistory }));
+      } finally {
+        this.hideLoadingState();
+      }
+    }
+
+    async loadProduct(handle, variantId = null) {
+      if (this.sectionContent) {
+        return this.loadProductSection(handle, variantId);
+      }
+
+      try {
+        // Use the .js endpoint (cached), alongside the cart for quantity rules
+        const [product] = await Promise.all([
+          this.productCache.get(handle, this.cacheMaxAge),
+          this.loadCartQuantities()
+        ]);
+
+        this.currentProduct = product;
+        this.currentSwatches = this.getTileSwatches(product.handle);
+        this.buildVariantMap(product);
+        this.populateModal(product, variantId);
+
+      } catch (error) {
+        console.error('Error fetching product:', error);
+        throw error;
+      }
+    }
+
+    async loadCartQuantities() {
+      this.cartQuantities.clear();
+      this.cartBonusKeys.clear();
+
+      try {
+        const response = await fetch('/cart.js');
+        if (!response.ok) return;
+
+        const cart = await response.json();
+        const { BONUS_PROPERTY } = this.bonusLink;
+        cart.items.forEach(item => {
+          const quantity = this.cartQuantities.get(item.variant_id) || 0;
+          this.cartQuantities.set(item.variant_id, quantity + item.quantity);
+
+          const bonusKey = item.properties && item.properties[BONUS_PROPERTY];
+          if (bonusKey) this.cartBonusKeys.add(bonusKey);
+        });
+      } catch (error) {
+        // Quantity rules still apply without the cart, just not the amount already in it
+        console.error('Error fetching cart:', error);
       }
+    }
+
+    // Product section mode, modeled on QuickAddModal.show: the section supplies the price, description,
+    // variant picker and buy buttons; the cached product JSON still drives bonus rules, analytics and the wishlist
+    async loadProductSection(handle, variantId = null) {
+      const params = new URLSearchParams({ section_id: GiftGuideModal.PRODUCT_SECTION });
+      if (variantId) params.set('variant', variantId);
+
+      const [product, responseText] = await Promise.all([
+        this.productCache.get(handle, this.cacheMaxAge),
+        fetch(`/products/${handle}?${params}`).then(response => {
+          if (!response.ok) throw new Error(`Product section request failed: ${response.status}`);
+          return response.text();
+        })
+      ]);
+
+      const html = new DOMParser().parseFromString(responseText, 'text/html');
+      const productElement = html.querySelector('product-info');
+      if (!productElement) throw new Error('Product section markup not found');
 
-      const product = await response.json();
       this.currentProduct = product;
-      this.buildVariantMap(product);
-      this.populateModal(product);
-      
-    } catch (error) {
-      console.error('Error fetching product:', error);
-      throw error;
+      this.setElementText('[data-gg-title]', product.title);
+      HTMLUpdateUtility.setInnerHTML(this.sectionContent, productElement.outerHTML);
+
+      const description = this.sectionContent.querySelector('[data-gg-description]');
+      if (description) description.id = `GiftGuideModalDescription-${this.sectionId}`;
+
+      if (window.Shopify && Shopify.PaymentButton) {
+        Shopify.PaymentButton.init();
+      }
+
+      const variantInput = this.sectionContent.querySelector('product-form input[name="id"]');
+      this.setSectionVariant(variantInput ? variantInput.value : null);
     }
-  }
 
-  buildVariantMap(product) {
-    this.variantMap.clear();
-    
-    if (!product.variants || product.variants.length === 0) return;
+    setSectionVariant(variantId) {
+      this.sectionVariant = this.currentProduct.variants.find(variant => String(variant.id) === String(variantId)) || null;
+      this.updateWishlistButton(this.sectionVariant);
+      this.updateSectionBonusInput();
+    }
 
-    product.variants.forEach(variant => {
-      const key = this.buildVariantKey(variant);
-      this.variantMap.set(key, variant);
-    });
-  }
+    handleSectionVariantChange({ sectionId, html, variant }) {
+      if (sectionId !== GiftGuideModal.PRODUCT_SECTION || !this.isModalOpen() || !this.currentProduct) return;
 
-  buildVariantKey(variant) {
-    const options = [
-      variant.option1 || '',
-      variant.option2 || '',
-      variant.option3 || ''
-    ];
-    
-    return options.map(opt => (opt || '').toLowerCase()).join('|');
-  }
+      // product-info.js leaves media alone without a media-gallery
+      const media = this.sectionContent.querySelector('[data-gg-section-media]');
+      const newMedia = html.querySelector('[data-gg-section-media]');
+      if (media && newMedia) media.innerHTML = newMedia.innerHTML;
 
-  populateModal(product) {
-    // Set basic product info
-    this.setElementText('[data-gg-title]', product.title);
-    this.setElementText('[data-gg-description]', this.stripHtml(product.body_html || ''));
-    
-    // Set image
-    const imageElement = this.modal.querySelector('[data-gg-image]');
-    if (imageElement && product.featured_image) {
-      imageElement.src = product.featured_image;
-      imageElement.alt = product.title;
+      this.setSectionVariant(variant ? variant.id : null);
+      this.updateHistoryVariant();
+      this.analytics.track('variantChange', { item: this.getAnalyticsItem() });
     }
 
-    // Set initial price from first variant
-    if (product.variants && product.variants.length > 0) {
-      const firstVariant = product.variants[0];
-      this.updatePrice(firstVariant.price);
+    // product-form.js renders the cart drawer/notification itself right after publishing
+    handleSectionCartUpdate(event) {
+      if (!this.isSectionFormEvent(event)) return;
+
+      this.trackAddToCart({ items: [event.cartData] }, this.sectionVariant, []);
+      this.productCache.delete(this.currentProduct.handle);
+
+      const cart = getCartElement();
+      if (cart) cart.setActiveElement(this.lastFocusedElement);
+      this.closeModal();
     }
 
-    // Build variant selectors
-    this.buildVariantSelectors(product);
-  }
+    handleSectionCartError(event) {
+      if (!this.isSectionFormEvent(event)) return;
 
-  setElementText(selector, text) {
-    const element = this.modal.querySelector(selector);
-    if (element) {
-      element.textContent = text;
+      this.analytics.track('addToCartError', {
+        item: this.getAnalyticsItem(),
+        message: event.message || null
+      });
     }
-  }
 
-  stripHtml(html) {
-    if (!html) return '';
-    const div = document.createElement('div');
-    div.innerHTML = html;
-    return div.textContent || div.innerText || '';
-  }
+    isSectionFormEvent(event) {
+      return event.source === 'product-form' &&
+        this.isModalOpen() &&
+        Boolean(this.sectionVariant) &&
+        String(event.productVariantId) === String(this.sectionVariant.id);
+    }
+
+    // product-form.js posts the form as is, so the matching rules ride along as the trigger line property
+    // and gift-guide-bonus-sync.js adds the bonus lines after product-form's cartUpdate
+    async updateSectionBonusInput() {
+      const form = this.sectionContent.querySelector('product-form form');
+      if (!form) return;
 
-  updatePrice(price) {
-    const priceElement = this.modal.querySelector('[data-gg-price]');
-    if (priceElement) {
-      priceElement.textContent = this.formatPrice(price);
+      const variant = this.sectionVariant;
+      const { TRIGGER_PROPERTY } = this.bonusLink;
+
+      // Rules are matched for any quantity - bonus sync applies each rule's minimum to the cart line
+      const triggerProperties = variant
+        ? this.getBonusTriggerProperties(await this.resolveBonusRules(variant, Infinity))
+        : {};
+      if (variant !== this.sectionVariant) return;
+
+      let input = form.querySelector('[data-gg-bonus-input]');
+      const value = triggerProperties[TRIGGER_PROPERTY];
+
+      if (!value) {
+        if (input) input.remove();
+        return;
+      }
+
+      if (!input) {
+        input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = `properties[${TRIGGER_PROPERTY}]`;
+        input.dataset.ggBonusInput = '';
+        form.appendChild(input);
+      }
+      input.value = value;
     }
-  }
 
-  formatPrice(price) {
-    // Use Shopify.formatMoney if available, otherwise fallback
-    if (typeof Shopify !== 'undefined' && Shopify.formatMoney) {
-      return Shopify.formatMoney(price);
+    buildVariantMap(product) {
+      this.variantMap.clear();
+
+      if (!product.variants || product.variants.length === 0) return;
+
+      product.variants.forEach(variant => {
+        const key = this.buildVariantKey(variant);
+        this.variantMap.set(key, variant);
+      });
     }
-    
-    // Fallback formatting
-    const dollars = (price / 100).toFixed(2);
-    return `$${dollars}`;
-  }
 
-  buildVariantSelectors(product) {
-    const container = this.modal.querySelector('#variantSelectors');
-    if (!container) return;
+    buildVariantKey(variant) {
+      return this.buildOptionsKey(this.getVariantOptions(variant));
+    }
+
+    buildOptionsKey(options) {
+      return options.map(opt => (opt || '').toLowerCase()).join('|');
+    }
+
+    getVariantOptions(variant) {
+      if (!variant) return ['', '', ''];
+
+      return [
+        variant.option1 || '',
+        variant.option2 || '',
+        variant.option3 || ''
+      ];
+    }
+
+    populateModal(product, variantId = null) {
+      // Set basic product info
+      this.setElementText('[data-gg-title]', product.title);
+      this.setElementText('[data-gg-description]', this.stripHtml(product.body_html || ''));
+
+      // Build media gallery
+      this.buildGallery(product);
+
+      // Build variant selectors (also sets the initial price and button state)
+      this.buildVariantSelectors(product, variantId);
+    }
+
+    buildGallery(product) {
+      const viewport = this.modal.querySelector('[data-gg-gallery-viewport]');
+      const thumbnails = this.modal.querySelector('[data-gg-gallery-thumbnails]');
+      if (!viewport) return;
+
+      this.galleryMedia = this.getGalleryMedia(product);
+      this.activeMediaIndex = 0;
+      viewport.innerHTML = '';
+      viewport.scrollLeft = 0;
+      viewport.setAttribute('aria-label', window.giftGuideStrings.galleryLabel.replace('[product]', product.title));
+
+      this.galleryMedia.forEach((media, index) => {
+        const slide = document.createElement('li');
+        slide.className = 'modal-gallery__slide';
+        slide.setAttribute('aria-label', `${index + 1} / ${this.galleryMedia.length}`);
+        slide.appendChild(this.buildGalleryImage(media, 800, 'modal-image', index === 0 ? 'eager' : 'lazy'));
+        if (media.badge) slide.appendChild(this.buildGalleryBadge(media.badge));
+        viewport.appendChild(slide);
+      });
+
+      if (!thumbnails) return;
+
+      thumbnails.innerHTML = '';
+      thumbnails.hidden = this.galleryMedia.length <= 1;
+      if (thumbnails.hidden) return;
+
+      this.galleryMedia.forEach((media, index) => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'modal-gallery__thumbnail';
+        button.setAttribute('aria-label', window.giftGuideStrings.mediaThumbnail
+          .replace('[index]', index + 1)
+          .replace('[count]', this.galleryMedia.length));
+        button.setAttribute('aria-current', index === 0);
+        button.addEventListener('click', () => this.setActiveMedia(index));
+        button.appendChild(this.buildGalleryImage(media, 120, '', 'lazy'));
+        if (media.badge) button.appendChild(this.buildGalleryBadge(media.badge));
+        item.appendChild(button);
+        thumbnails.appendChild(item);
+      });
+    }
+
+    // Normalises product media; video and 3D media show their poster image
+    getGalleryMedia(product) {
+      const badges = {
+        'video': window.giftGuideStrings.mediaVideo,
+        'external_video': window.giftGuideStrings.mediaVideo,
+        'model': window.giftGuideStrings.mediaModel
+      };
+
+      const media = (product.media || [])
+        .map(item => ({
+          id: item.id,
+          src: item.media_type === 'image' ? item.src : item.preview_image && item.preview_image.src,
+          alt: item.alt || product.title,
+          badge: badges[item.media_type] || null
+        }))
+        .filter(item => item.src);
+
+      if (media.length > 0) return media;
+
+      // Products without media data fall back to their images
+      const images = product.images && product.images.length > 0 
+        ? product.images 
+        : [product.featured_image].filter(Boolean);
+
+      return images.map(src => ({ id: null, src, alt: product.title, badge: null }));
+    }
+
+    buildGalleryImage(media, width, className, loading) {
+      const image = document.createElement('img');
+      const separator = media.src.includes('?') ? '&' : '?';
+      image.src = `${media.src}${separator}width=${width}`;
+      image.alt = media.alt;
+      image.loading = loading;
+      if (className) image.className = className;
+      return image;
+    }
+
+    buildGalleryBadge(text) {
+      const badge = document.createElement('span');
+      badge.className = 'modal-gallery__badge';
+      badge.textContent = text;
+      return badge;
+    }
+
+    setActiveMedia(index) {
+      const viewport = this.modal.querySelector('[data-gg-gallery-viewport]');
+      const slide = viewport && viewport.children[index];
+      if (!slide) return;
+
+      this.activeMediaIndex = index;
+      viewport.scrollTo({ left: slide.offsetLeft - viewport.offsetLeft });
 
-    container.innerHTML = '';
+      this.modal.querySelectorAll('.modal-gallery__thumbnail').forEach((thumbnail, thumbnailIndex) => {
+        thumbnail.setAttribute('aria-current', thumbnailIndex === index);
+      });
+    }
+
+    // Jump to the selected variant's featured media, e.g. the black version of a jacket
+    updateGalleryForVariant(variant) {
+      if (!variant || !this.galleryMedia) return;
+
+      const featuredMediaId = variant.featured_media && variant.featured_media.id;
+      const featuredImageSrc = variant.featured_image && variant.featured_image.src;
+      if (!featuredMediaId && !featuredImageSrc) return;
+
+      const index = this.galleryMedia.findIndex(media => 
+        (featuredMediaId && media.id === featuredMediaId) || 
+        (featuredImageSrc && this.stripProtocol(media.src) === this.stripProtocol(featuredImageSrc))
+      );
+
+      if (index !== -1 && index !== this.activeMediaIndex) {
+        this.setActiveMedia(index);
+      }
+    }
+
+    stripProtocol(url) {
+      return url.replace(/^(https?:)?\/\//, '').split('?')[0];
+    }
+
+    handleGalleryScroll() {
+      const viewport = this.modal.querySelector('[data-gg-gallery-viewport]');
+      if (!viewport || viewport.clientWidth === 0) return;
+
+      // Keep thumbnails in sync when shoppers swipe the carousel
+      const index = Math.round(viewport.scrollLeft / viewport.clientWidth);
+      if (index === this.activeMediaIndex) return;
+
+      this.activeMediaIndex = index;
+      this.modal.querySelectorAll('.modal-gallery__thumbnail').forEach((thumbnail, thumbnailIndex) => {
+        thumbnail.setAttribute('aria-current', thumbnailIndex === index);
+      });
+    }
+
+    setElementText(selector, text) {
+      const element = this.modal.querySelector(selector);
+      if (element) {
+        element.textContent = text;
+      }
+    }
+
+    stripHtml(html) {
+      if (!html) return '';
+      const div = document.createElement('div');
+      div.innerHTML = html;
+      return div.textContent || div.innerText || '';
+    }
+
+    updatePrice(variant) {
+      const priceElement = this.modal.querySelector('[data-gg-price]');
+      if (!priceElement) return;
+
+      const status = this.getVariantStatus(variant);
+      priceElement.classList.toggle('modal-price--unavailable', status === 'unavailable');
+
+      if (status === 'unavailable') {
+        priceElement.textContent = window.giftGuideStrings.unavailable;
+        return;
+      }
+
+      priceElement.textContent = formatMoney(variant.price);
+
+      if (status === 'sold-out') {
+        const badge = document.createElement('span');
+        badge.className = 'modal-price__badge';
+        badge.textContent = window.giftGuideStrings.soldOut;
+        priceElement.appendChild(badge);
+      }
+    }
+
+    updateSubmitButton(variant) {
+      const submitBtn = this.modal.querySelector('[data-gg-submit]');
+      if (!submitBtn) return;
+
+      const btnText = submitBtn.querySelector('.btn-text');
+      const status = this.getVariantStatus(variant);
 
-    if (!product.options || product.options.length === 0) return;
+      if (btnText) {
+        const labels = {
+          'available': window.giftGuideStrings.addToCart,
+          'sold-out': window.giftGuideStrings.soldOut,
+          'unavailable': window.giftGuideStrings.unavailable
+        };
+        btnText.textContent = labels[status];
+      }
+      submitBtn.disabled = !this.canAddToCart(variant);
+    }
+
+    buildVariantSelectors(product, variantId = null) {
+      const container = this.modal.querySelector('[data-gg-variant-selectors]');
+      if (!container) return;
+
+      container.innerHTML = '';
+
+      // Start from the deep-linked variant, or the first available combination
+      const initialVariant = variantId 
+        ? product.variants.find(variant => String(variant.id) === String(variantId)) 
+        : null;
+      this.selectedOptions = this.getVariantOptions(initialVariant || this.getFirstAvailableVariant(product));
+
+      if (product.options && product.options.length > 0) {
+        product.options.forEach((option, index) => {
+          if (option.values.length <= 1) return;
+
+          const pickerType = this.getPickerType(option);
+          const picker = pickerType === 'swatch' || pickerType === 'button'
+            ? this.buildRadioPicker(option, index, pickerType)
+            : this.buildDropdownPicker(option, index, pickerType);
+
+          container.appendChild(picker);
+        });
+      }
+
+      this.updateVariantState();
+    }
+
+    // Same precedence as product-variant-picker.liquid: swatches override the configured picker type
+    getPickerType(option) {
+      const { pickerType, swatchShape, pillMaxValues } = this.section.dataset;
+      const hasSwatches = swatchShape !== 'none' && 
+        option.values.some(value => this.getSwatch(option.name, value));
+
+      if (hasSwatches) {
+        return pickerType === 'dropdown' ? 'swatch_dropdown' : 'swatch';
+      }
+
+      // Pills only for small option sets, long lists stay dropdowns
+      if (pickerType === 'button' && option.values.length <= (parseInt(pillMaxValues) || 8)) {
+        return 'button';
+      }
 
-    product.options.forEach((option, index) => {
-      const optionName = option.name;
-      const optionValues = option.values;
-      
-      if (optionValues.length <= 1) return;
+      return 'dropdown';
+    }
+
+    buildRadioPicker(option, index, pickerType) {
+      const isSwatch = pickerType === 'swatch';
+
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = `variant-group product-form__input product-form__input--${isSwatch ? 'swatch' : 'pill'}`;
+      fieldset.dataset.optionPosition = index + 1;
+      fieldset.dataset.optionName = option.name;
+
+      const legend = document.createElement('legend');
+      legend.className = 'variant-label form__label';
+      legend.textContent = isSwatch ? `${option.name}: ` : option.name;
+      if (isSwatch) {
+        const selectedValue = document.createElement('span');
+        selectedValue.setAttribute('data-selected-value', '');
+        legend.appendChild(selectedValue);
+      }
+      fieldset.appendChild(legend);
+
+      option.values.forEach((value, valueIndex) => {
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.id = `Option-${this.sectionId}-${index}-${valueIndex}`;
+        input.name = `option${index + 1}`;
+        input.value = value;
+        input.className = isSwatch ? 'gg-option swatch-input__input' : 'gg-option';
+        input.addEventListener('change', () => this.handleOptionChange(index, value));
+
+        const label = document.createElement('label');
+        label.setAttribute('for', input.id);
+
+        const unavailableLabel = document.createElement('span');
+        unavailableLabel.className = 'visually-hidden label-unavailable';
+        unavailableLabel.textContent = window.giftGuideStrings.variantSoldOutOrUnavailable;
+
+        if (isSwatch) {
+          const hiddenValue = document.createElement('span');
+          hiddenValue.className = 'visually-hidden';
+          hiddenValue.textContent = value;
+
+          label.className = 'swatch-input__label';
+          if (this.section.dataset.swatchShape === 'square') {
+            label.classList.add('swatch-input__label--square');
+          }
+          label.title = value;
+          label.append(this.buildSwatch(this.getSwatch(option.name, value)), hiddenValue);
+        } else {
+          label.textContent = value;
+        }
+        label.appendChild(unavailableLabel);
+
+        fieldset.append(input, label);
+      });
+
+      return fieldset;
+    }
 
+    buildDropdownPicker(option, index, pickerType) {
       const group = document.createElement('div');
-      group.className = 'variant-group';
+      group.className = 'variant-group product-form__input product-form__input--dropdown';
+      group.dataset.optionPosition = index + 1;
+      group.dataset.optionName = option.name;
 
       const label = document.createElement('label');
       label.className = 'variant-label';
-      label.textContent = optionName;
-      label.setAttribute('for', `variant-${index}`);
+      label.textContent = option.name;
+      label.setAttribute('for', `Option-${this.sectionId}-${index}`);
+
+      const selectWrapper = document.createElement('div');
+      selectWrapper.className = 'select';
+
+      if (pickerType === 'swatch_dropdown') {
+        const selectedSwatch = document.createElement('span');
+        selectedSwatch.className = 'dropdown-swatch';
+        selectedSwatch.setAttribute('data-selected-value', '');
+        selectWrapper.appendChild(selectedSwatch);
+      }
 
       const select = document.createElement('select');
       select.className = 'variant-select gg-option';
-      select.id = `variant-${index}`;
+      select.id = `Option-${this.sectionId}-${index}`;
       select.name = `option${index + 1}`;
-      select.setAttribute('data-option-position', index + 1);
-
-      // Add default option
-      const defaultOption = document.createElement('option');
-      defaultOption.value = '';
-      defaultOption.textContent = `Choose ${optionName}`;
-      select.appendChild(defaultOption);
 
       // Add variant options
-      optionValues.forEach(value => {
-        const option = document.createElement('option');
-        option.value = value;
-        option.textContent = value;
-        select.appendChild(option);
+      option.values.forEach(value => {
+        const optionElement = document.createElement('option');
+        optionElement.value = value;
+        optionElement.textContent = value;
+        select.appendChild(optionElement);
       });
 
-      // Set default to first available value
-      if (optionValues.length > 0) {
-        select.value = optionValues[0];
-      }
-
-      // Add change listener for price updates
-      select.addEventListener('change', () => this.handleOptionChange());
+      // Add change listener for availability and price updates
+      select.addEventListener('change', () => this.handleOptionChange(index, select.value));
 
+      selectWrapper.appendChild(select);
       group.appendChild(label);
-      group.appendChild(select);
-      container.appendChild(group);
-    });
+      group.appendChild(selectWrapper);
 
-    // Trigger initial price update
-    this.handleOptionChange();
-  }
+      return group;
+    }
 
-  handleOptionChange() {
-    const variant = this.getSelectedVariant();
-    if (variant) {
-      this.updatePrice(variant.price);
+    buildSwatch(swatch) {
+      const element = document.createElement('span');
+      element.className = 'swatch';
+
+      if (this.section.dataset.swatchShape === 'square') {
+        element.classList.add('swatch--square');
+      }
+
+      if (swatch) {
+        element.style.setProperty('--swatch--background', swatch.background);
+        if (swatch.focalPoint) {
+          element.style.setProperty('--swatch-focal-point', swatch.focalPoint);
+        }
+      } else {
+        element.classList.add('swatch--unavailable');
+      }
+
+      return element;
     }
-  }
 
-  getSelectedVariant() {
-    if (!this.currentProduct) return null;
+    getSwatch(optionName, value) {
+      const optionSwatches = this.currentSwatches[optionName] || {};
+      if (optionSwatches[value]) return optionSwatches[value];
 
-    const selects = this.modal.querySelectorAll('.gg-option');
-    const selectedOptions = [];
+      // Colour options without swatch data fall back to the colour name
+      if (!/colou?r/i.test(optionName)) return null;
 
-    selects.forEach(select => {
-      const position = parseInt(select.dataset.optionPosition);
-      const value = select.value;
-      
-      if (value) {
-        selectedOptions[position - 1] = value;
+      const name = value.toLowerCase();
+      const color = GiftGuideModal.COLOR_NAMES[name] || name.replace(/\s+/g, '');
+      return CSS.supports('color', color) ? { background: color } : null;
+    }
+
+    getTileSwatches(handle) {
+      const element = this.section.querySelector(
+        `.gg-product-tile[data-product-handle="${CSS.escape(handle)}"] [data-gg-swatches]`
+      );
+      if (!element) return {};
+
+      try {
+        return JSON.parse(element.textContent);
+      } catch (error) {
+        console.error('GiftGuideModal: Invalid swatch JSON', error);
+        return {};
       }
-    });
+    }
 
-    // Build the variant key
-    const key = selectedOptions.map(opt => (opt || '').toLowerCase()).join('|');
-    
-    return this.variantMap.get(key);
-  }
+    getFirstAvailableVariant(product) {
+      if (!product.variants || product.variants.length === 0) return null;
+      return product.variants.find(variant => variant.available) || product.variants[0];
+    }
 
-  shouldAddBonusProduct(selectedOptions) {
-    if (!selectedOptions) return false;
-    
-    // Check if Color=Black AND Size=Medium (case-insensitive)
-    const hasBlackColor = selectedOptions.some(value => 
-      value && value.toLowerCase().includes('black')
-    );
-    
-    const hasMediumSize = selectedOptions.some(value => 
-      value && value.toLowerCase().includes('medium')
-    );
-    
-    return hasBlackColor && hasMediumSize;
-  }
+    handleOptionChange(index, value) {
+      this.selectedOptions[index] = value;
 
-  async handleAddToCart(e) {
-    e.preventDefault();
-    
-    try {
-      this.showLoadingState();
-      
+      // Jump to the first available combination that keeps the chosen value
       const variant = this.getSelectedVariant();
-      if (!variant) {
-        throw new Error('Please select all required options');
-      }
-
-      const cartItems = [{
-        id: variant.id,
-        quantity: 1
-      }];
-
-      // Check if we should add bonus product
-      if (this.shouldAddBonusProduct([variant.option1, variant.option2, variant.option3])) {
-        const bonusProduct = await this.fetchBonusProduct();
-        if (bonusProduct && bonusProduct.variants.length > 0) {
-          // Add first available variant of bonus product
-          cartItems.push({
-            id: bonusProduct.variants[0].id,
-            quantity: 1
+      if (!variant || !variant.available) {
+        const availableVariant = this.currentProduct.variants.find(candidate => 
+          candidate.available && (candidate[`option${index + 1}`] || '') === value
+        );
+        if (availableVariant) {
+          this.selectedOptions = this.getVariantOptions(availableVariant);
+        }
+      }
+
+      this.updateVariantState();
+      this.analytics.track('variantChange', { item: this.getAnalyticsItem() });
+    }
+
+    updateVariantState() {
+      const variant = this.getSelectedVariant();
+
+      this.updateOptionAvailability();
+      this.updateGalleryForVariant(variant);
+      this.updatePrice(variant);
+      this.updateQuantityRules(variant);
+      this.updateSubmitButton(variant);
+      this.updateWishlistButton(variant);
+      this.updateHistoryVariant();
+    }
+
+    // The modal heart saves the product with the selected variant
+    updateWishlistButton(variant) {
+      const button = this.modal.querySelector('[data-gg-modal-wishlist]');
+      if (!button || !this.currentProduct) return;
+
+      button.dataset.productHandle = this.currentProduct.handle;
+      if (variant) {
+        button.dataset.variantId = variant.id;
+      } else {
+        delete button.dataset.variantId;
+      }
+
+      if (window.giftGuideWishlist) window.giftGuideWishlist.syncButtons(this.modal);
+    }
+
+    // Applies the variant's quantity_rule, minus what is already in the cart
+    updateQuantityRules(variant) {
+      const input = this.modal.querySelector('[data-gg-quantity-input]');
+      if (!input) return;
+
+      const rule = (variant && variant.quantity_rule) || { min: 1, max: null, increment: 1 };
+      const cartQuantity = variant ? this.cartQuantities.get(variant.id) || 0 : 0;
+      const increment = rule.increment || 1;
+      const max = this.getRemainingMax(variant);
+      const ruleMin = cartQuantity >= rule.min ? increment : rule.min;
+      const min = max !== null ? Math.min(ruleMin, max) : ruleMin;
+
+      input.min = min;
+      input.dataset.min = min;
+      input.step = increment;
+      if (max !== null) {
+        input.max = max;
+      } else {
+        input.removeAttribute('max');
+      }
+
+      const value = parseInt(input.value);
+      if (!value || value < min || (max !== null && value > max)) {
+        input.value = min;
+      }
+      input.setCustomValidity('');
+
+      const quantityInput = input.closest('quantity-input');
+      if (quantityInput && quantityInput.validateQtyRules) {
+        quantityInput.validateQtyRules();
+      }
+
+      const rulesElement = this.modal.querySelector('[data-gg-quantity-rules]');
+      if (!rulesElement) return;
+
+      const rulesText = [];
+      const strings = window.giftGuideStrings;
+
+      // Nothing more can be added - say so before the shopper tries, rather than after the Cart API refuses
+      if (max === 0) {
+        rulesElement.textContent = strings.quantityMaxReached.replace('[quantity]', rule.max);
+        rulesElement.hidden = false;
+        return;
+      }
+
+      if (increment > 1) rulesText.push(strings.quantityIncrementsOf.replace('[quantity]', increment));
+      if (rule.min > 1) rulesText.push(strings.quantityMinimumOf.replace('[quantity]', rule.min));
+      if (max !== null) rulesText.push(strings.quantityMaximumOf.replace('[quantity]', rule.max));
+      if (cartQuantity > 0) rulesText.push(strings.quantityInCart.replace('[quantity]', cartQuantity));
+
+      rulesElement.textContent = rulesText.join(' · ');
+      rulesElement.hidden = rulesText.length === 0;
+    }
+
+    // How many more units the variant's quantity rule allows on top of what is already in the cart
+    getRemainingMax(variant) {
+      const rule = variant && variant.quantity_rule;
+      if (!rule || rule.max === null || rule.max === undefined) return null;
+
+      return Math.max(rule.max - (this.cartQuantities.get(variant.id) || 0), 0);
+    }
+
+    canAddToCart(variant) {
+      return this.getVariantStatus(variant) === 'available' && this.getRemainingMax(variant) !== 0;
+    }
+
+    getQuantity() {
+      const input = this.modal.querySelector('[data-gg-quantity-input]');
+      return input ? parseInt(input.value) || 0 : 1;
+    }
+
+    // Same checks and messages as CartItems.validateQuantity
+    validateQuantity() {
+      const input = this.modal.querySelector('[data-gg-quantity-input]');
+      if (!input) return true;
+
+      const strings = window.giftGuideStrings;
+      const value = parseInt(input.value);
+      let message = '';
+
+      if (isNaN(value) || value < parseInt(input.dataset.min)) {
+        message = strings.minError.replace('[min]', input.dataset.min);
+      } else if (input.max && value > parseInt(input.max)) {
+        message = strings.maxError.replace('[max]', input.max);
+      } else if (value % parseInt(input.step) !== 0) {
+        message = strings.stepError.replace('[step]', input.step);
+      }
+
+      input.setCustomValidity(message);
+      if (message) {
+        input.reportValidity();
+        input.select();
+      }
+
+      return !message;
+    }
+
+    updateOptionAvailability() {
+      const labels = {
+        'sold-out': window.giftGuideStrings.valueSoldOut,
+        'unavailable': window.giftGuideStrings.valueUnavailable
+      };
+
+      this.modal.querySelectorAll('.variant-group').forEach(group => {
+        const index = parseInt(group.dataset.optionPosition) - 1;
+        const selectedValue = this.selectedOptions[index];
+
+        const select = group.querySelector('select');
+        if (select) {
+          select.value = selectedValue;
+
+          Array.from(select.options).forEach(option => {
+            const status = this.getOptionValueStatus(index, option.value);
+            option.dataset.availability = status;
+            option.textContent = labels[status] ? labels[status].replace('[option_value]', option.value) : option.value;
+          });
+        }
+
+        // Like the product page, unavailable pills/swatches are styled as disabled but stay selectable
+        group.querySelectorAll('input[type="radio"]').forEach(input => {
+          const status = this.getOptionValueStatus(index, input.value);
+          const disabledClass = input.classList.contains('swatch-input__input') ? 'visually-disabled' : 'disabled';
+
+          input.checked = input.value === selectedValue;
+          input.dataset.availability = status;
+          input.classList.toggle(disabledClass, status !== 'available');
+        });
+
+        const selectedValueElement = group.querySelector('[data-selected-value]');
+        if (selectedValueElement && select) {
+          selectedValueElement.replaceChildren(this.buildSwatch(this.getSwatch(group.dataset.optionName, selectedValue)));
+        } else if (selectedValueElement) {
+          selectedValueElement.textContent = selectedValue;
+        }
+      });
+    }
+
+    // Availability of an option value combined with the other currently selected options
+    getOptionValueStatus(index, value) {
+      const options = [...this.selectedOptions];
+      options[index] = value;
+      return this.getVariantStatus(this.variantMap.get(this.buildOptionsKey(options)));
+    }
+
+    getVariantStatus(variant) {
+      if (!variant) return 'unavailable';
+      return variant.available ? 'available' : 'sold-out';
+    }
+
+    getSelectedVariant() {
+      if (!this.currentProduct) return null;
+      if (this.sectionContent) return this.sectionVariant;
+      return this.variantMap.get(this.buildOptionsKey(this.selectedOptions));
+    }
+
+    get bonusLink() {
+      return window.GiftGuideBonusSync || GiftGuideModal.BONUS_LINK;
+    }
+
+    // Bonus lines and the trigger line are tagged so gift-guide-bonus-sync.js can keep them in step
+    async getBonusItems(variant, quantity) {
+      const { BONUS_PROPERTY, getBonusKey } = this.bonusLink;
+
+      // The trigger line carries every rule whatever the quantity - bonus sync applies each rule's minimum
+      // to the variant's total in the cart, so adds that only meet it together still earn the bonus
+      const resolved = await this.resolveBonusRules(variant, Infinity);
+
+      // Bonus stays at one unless the rule scales it with the quantity added. Bonuses already in the cart are
+      // left to bonus sync - adding them again would merge into that line only for the sync to shrink it back
+      const items = resolved
+        .filter(({ rule }) => quantity >= (parseInt(rule.minQuantity) || 1))
+        .filter(({ rule }) => !this.cartBonusKeys.has(getBonusKey(variant.id, rule.id)))
+        .map(({ rule, bonusVariant }) => ({
+          id: bonusVariant.id,
+          quantity: rule.bonusQuantity === 'match' ? quantity : 1,
+          properties: { [BONUS_PROPERTY]: getBonusKey(variant.id, rule.id) }
+        }));
+
+      return { items, triggerProperties: this.getBonusTriggerProperties(resolved) };
+    }
+
+    // Matching rules paired with their bonus variant; rules whose bonus product can't be loaded are skipped
+    async resolveBonusRules(variant, quantity) {
+      const rules = this.bonusRules.getMatchingRules(this.currentProduct, variant, quantity);
+      const resolved = [];
+
+      for (const rule of rules) {
+        const bonusProduct = await this.fetchBonusProduct(rule.bonusHandle);
+        const bonusVariant = this.resolveBonusVariant(bonusProduct, rule.bonusVariant);
+        if (bonusVariant) resolved.push({ rule, bonusVariant });
+      }
+
+      return resolved;
+    }
+
+    getBonusTriggerProperties(resolved) {
+      if (resolved.length === 0) return {};
+
+      const triggerRules = resolved.map(({ rule, bonusVariant }) => ({
+        rule: rule.id,
+        variant: bonusVariant.id,
+        quantity: rule.bonusQuantity,
+        min: rule.minQuantity || 1
+      }));
+      return { [this.bonusLink.TRIGGER_PROPERTY]: JSON.stringify(triggerRules) };
+    }
+
+    resolveBonusVariant(product, variantSelector) {
+      if (!product || !product.variants || product.variants.length === 0) return null;
+
+      // Match the configured variant by ID or title, e.g. "Black / M"
+      if (variantSelector) {
+        const selector = variantSelector.toLowerCase();
+        const variant = product.variants.find(variant => 
+          String(variant.id) === selector || variant.title.toLowerCase() === selector
+        );
+        if (variant) return variant;
+      }
+
+      return product.variants.find(variant => variant.available) || product.variants[0];
+    }
+
+    // Gift fields are disabled while hidden so FormData leaves them out
+    toggleGiftFields(enabled) {
+      const fields = this.modal.querySelector('[data-gg-gift-fields]');
+      if (!fields) return;
+
+      fields.hidden = !enabled;
+      fields.disabled = !enabled;
+      this.updateGiftNoteCount();
+    }
+
+    updateGiftNoteCount() {
+      const note = this.modal.querySelector('[data-gg-gift-note]');
+      const count = this.modal.querySelector('[data-gg-gift-note-count]');
+      if (!note || !count) return;
+
+      count.textContent = window.giftGuideStrings.giftCharactersLeft.replace('[count]', note.maxLength - note.value.length);
+    }
+
+    // Line item properties from the enabled properties[...] fields, skipping blank values
+    getGiftProperties(form) {
+      const properties = {};
+
+      new FormData(form).forEach((value, key) => {
+        const match = key.match(/^properties\[(.+)\]$/);
+        if (match && typeof value === 'string' && value.trim()) {
+          properties[match[1]] = value.trim();
+        }
+      });
+
+      return properties;
+    }
+
+    // One wrap per gift-wrapped item, labelled with the product it belongs to. The checkbox itself isn't a
+    // line property, so the gift line doesn't repeat what the wrap line already says
+    getGiftWrapItem(quantity) {
+      const wrap = this.modal.querySelector('[data-gg-gift-wrap]');
+      // :disabled also covers the gift fields fieldset being disabled when "This is a gift" is unchecked
+      if (!wrap || wrap.matches(':disabled') || !wrap.checked) return null;
+
+      return {
+        id: Number(wrap.dataset.ggGiftWrap),
+        quantity,
+        properties: { [window.giftGuideStrings.giftWrapFor]: this.currentProduct.title }
+      };
+    }
+
+    async handleAddToCart(e) {
+      e.preventDefault();
+
+      try {
+        this.showLoadingState();
+        this.handleErrorMessage();
+
+        const variant = this.getSelectedVariant();
+        if (!variant || !variant.available) {
+          this.handleErrorMessage(window.giftGuideStrings.variantSoldOutOrUnavailable);
+          return;
+        }
+
+        if (!this.validateQuantity()) return;
+
+        const quantity = this.getQuantity();
+
+        // Add bonus products for every matching bonus rule
+        const { items: bonusItems, triggerProperties } = await this.getBonusItems(variant, quantity);
+
+        const properties = { ...this.getGiftProperties(e.target), ...triggerProperties };
+        const cartItems = [{
+          id: variant.id,
+          quantity,
+          ...(Object.keys(properties).length > 0 && { properties })
+        }];
+
+        const giftWrapItem = this.getGiftWrapItem(quantity);
+        if (giftWrapItem) cartItems.push(giftWrapItem);
+        cartItems.push(...bonusItems);
+
+        // Add to cart, asking for the sections the cart drawer/notification re-renders
+        const cart = getCartElement();
+        const body = { items: cartItems };
+        if (cart) {
+          body.sections = cart.getSectionsToRender().map(section => section.id);
+          body.sections_url = window.location.pathname;
+        }
+
+        // CartQueue (global.js) serializes the write and publishes cartUpdate once the cart settles
+        const cartData = await CartQueue.add(body, { source: 'gift-guide', eventData: { productVariantId: variant.id } });
+
+        // Cart API errors (sold out, quantity limits) are shown verbatim
+        if (cartData.status) {
+          console.error('Add to cart failed:', cartData);
+
+          if (typeof publish === 'function' && typeof PUB_SUB_EVENTS !== 'undefined') {
+            publish(PUB_SUB_EVENTS.cartError, {
+              source: 'gift-guide',
+              productVariantId: variant.id,
+              errors: cartData.errors || cartData.description,
+              message: cartData.message
+            });
+          }
+
+          this.handleErrorMessage(cartData.description || cartData.message || window.giftGuideStrings.addToCartError);
+          this.analytics.track('addToCartError', {
+            item: this.getAnalyticsItem(variant, quantity),
+            message: cartData.description || cartData.message || null
           });
+          return;
+        }
+
+        this.trackAddToCart(cartData, variant, bonusItems);
+
+        // Inventory changed - the next open should see fresh availability
+        this.productCache.delete(this.currentProduct.handle);
+
+        // Cart type "page" has no drawer or notification - fall back to the cart page
+        if (!cart) {
+          window.location.href = (window.routes && window.routes.cart_url) || '/cart';
+          return;
+        }
+
+        this.renderCart(cart, cartData, variant);
+
+      } catch (error) {
+        // Network failures can be retried without leaving the modal
+        console.error('Error adding to cart:', error);
+        this.handleErrorMessage(window.giftGuideStrings.addToCartError, () => {
+          this.modal.querySelector('[data-gg-form]').requestSubmit();
+        });
+        if (this.currentProduct) {
+          this.analytics.track('addToCartError', { item: this.getAnalyticsItem(), message: error.message });
         }
+      } finally {
+        this.hideLoadingState();
       }
+    }
+
+    trackAddToCart(cartData, variant, bonusItems) {
+      this.purchased = true;
+      const lines = cartData.items || [];
+      const line = lines.find(item => item.variant_id === variant.id);
+      const item = line ? this.getLineAnalyticsItem(line) : this.getAnalyticsItem(variant, this.getQuantity());
 
-      // Add to cart
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ items: cartItems })
+      this.analytics.track('addToCart', { items: [item] });
+
+      bonusItems.forEach(bonusItem => {
+        const bonusLine = lines.find(candidate => candidate.variant_id === bonusItem.id);
+        if (bonusLine) {
+          this.analytics.track('bonusAdded', { item: this.getLineAnalyticsItem(bonusLine), trigger: item });
+        }
       });
+    }
+
+    renderCart(cart, cartData, variant) {
+      // Drawer/notification expect a single line item response (key, id) with its sections
+      const addedItem = (cartData.items || []).find(item => item.variant_id === variant.id) || {};
+      const parsedState = { ...addedItem, sections: cartData.sections };
 
-      if (!response.ok) {
-        const responseText = await response.text();
-        console.error('Add to cart failed:', responseText);
-        throw new Error(`HTTP error! status: ${response.status}`);
+      // Return focus to the tile that opened the modal when the cart closes
+      cart.setActiveElement(this.lastFocusedElement);
+      this.closeModal();
+
+      cart.classList.remove('is-empty');
+      cart.renderContents(parsedState);
+    }
+
+    async fetchBonusProduct(handle) {
+      try {
+        return await this.productCache.get(handle, this.cacheMaxAge);
+      } catch (error) {
+        console.error('Error fetching bonus product:', error);
+        return null;
       }
+    }
 
-      // Success - redirect to cart
-      window.location.href = '/cart';
-      
-    } catch (error) {
-      console.error('Error adding to cart:', error);
-      this.showError('Failed to add product to cart. Please try again.');
-    } finally {
-      this.hideLoadingState();
+    showModal() {
+      if (!this.isModalOpen()) {
+        this.lastFocusedElement = document.activeElement;
+
+        // showModal() makes the rest of the page inert and keeps focus inside the dialog,
+        // moving it to the [autofocus] close button
+        this.modal.showModal();
+      }
+      document.body.style.overflow = 'hidden';
+
+      // The gallery can only scroll to the variant's media once it is visible
+      if (this.activeMediaIndex > 0) {
+        this.setActiveMedia(this.activeMediaIndex);
+      }
     }
-  }
 
-  async fetchBonusProduct() {
-    try {
-      const response = await fetch(`/products/${this.bonusHandle}.js`);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+    closeModal({ updateHistory = true } = {}) {
+      if (this.currentProduct && !this.purchased) {
+        this.analytics.track('modalClose', { item: this.getAnalyticsItem() });
+      }
+
+      if (this.isModalOpen()) this.modal.close();
+      document.body.style.overflow = '';
+
+      // Step back over the entry the modal pushed, or drop the params of a deep link
+      if (updateHistory) {
+        if (this.historyEntryPushed) {
+          history.back();
+        } else if (this.getDeepLink().handle) {
+          history.replaceState(history.state, '', this.getUrlWithoutDeepLink());
+        }
+      }
+      this.historyEntryPushed = false;
+
+      const shareStatus = this.modal.querySelector('[data-gg-share-status]');
+      if (shareStatus) shareStatus.textContent = '';
+      this.handleErrorMessage();
+      this.currentProduct = null;
+      this.variantMap.clear();
+      this.selectedOptions = ['', '', ''];
+
+      // Section content is fetched again on the next open
+      if (this.sectionContent) {
+        this.sectionContent.innerHTML = '';
+        this.sectionVariant = null;
+      }
+
+      // Reset form
+      const form = this.modal.querySelector('[data-gg-form]');
+      if (form) {
+        form.reset();
+      }
+      this.toggleGiftFields(false);
+
+      // Clear variant selectors
+      const variantSelectors = this.modal.querySelector('[data-gg-variant-selectors]');
+      if (variantSelectors) {
+        variantSelectors.innerHTML = '';
+      }
+
+      // Restore focus
+      if (this.lastFocusedElement) {
+        this.lastFocusedElement.focus();
+        this.lastFocusedElement = null;
       }
-      return await response.json();
-    } catch (error) {
-      console.error('Error fetching bonus product:', error);
-      return null;
     }
-  }
 
-  showModal() {
-    this.modal.classList.add('active');
-    document.body.style.overflow = 'hidden';
-    
-    // Store last focused element
-    this.lastFocusedElement = document.activeElement;
-    
-    // Focus first focusable element
-    if (this.focusableElements.length > 0) {
-      this.focusableElements[0].focus();
+    getDeepLink() {
+      const params = new URLSearchParams(window.location.search);
+      return {
+        handle: params.get('gift'),
+        variantId: params.get('variant')
+      };
     }
-  }
 
-  closeModal() {
-    this.modal.classList.remove('active');
-    document.body.style.overflow = '';
-    this.currentProduct = null;
-    this.variantMap.clear();
-    
-    // Reset form
-    const form = this.modal.querySelector('[data-gg-form]');
-    if (form) {
-      form.reset();
-    }
-    
-    // Clear variant selectors
-    const variantSelectors = this.modal.querySelector('#variantSelectors');
-    if (variantSelectors) {
-      variantSelectors.innerHTML = '';
-    }
-    
-    // Restore focus
-    if (this.lastFocusedElement) {
-      this.lastFocusedElement.focus();
-      this.lastFocusedElement = null;
+    getDeepLinkUrl() {
+      const url = new URL(window.location.href);
+      const variant = this.getSelectedVariant();
+
+      url.searchParams.set('gift', this.currentProduct.handle);
+      if (variant) {
+        url.searchParams.set('variant', variant.id);
+      } else {
+        url.searchParams.delete('variant');
+      }
+
+      return url.toString();
     }
-  }
 
-  isModalOpen() {
-    return this.modal.classList.contains('active');
-  }
+    getUrlWithoutDeepLink() {
+      const url = new URL(window.location.href);
+      url.searchParams.delete('gift');
+      url.searchParams.delete('variant');
+      return url.toString();
+    }
 
-  showLoadingState() {
-    const submitBtn = this.modal.querySelector('[data-gg-submit]');
-    if (submitBtn) {
-      const btnText = submitBtn.querySelector('.btn-text');
-      const spinner = submitBtn.querySelector('.loading-spinner');
-      
-      if (btnText) btnText.style.display = 'none';
-      if (spinner) spinner.style.display = 'block';
-      submitBtn.disabled = true;
+    // Only handles of this grid's tiles can be deep-linked
+    hasTile(handle) {
+      return Boolean(this.section.querySelector(`.gg-product-tile[data-product-handle="${CSS.escape(handle)}"]`));
     }
-  }
 
-  hideLoadingState() {
-    const submitBtn = this.modal.querySelector('[data-gg-submit]');
-    if (submitBtn) {
-      const btnText = submitBtn.querySelector('.btn-text');
-      const spinner = submitBtn.querySelector('.loading-spinner');
-      
-      if (btnText) btnText.style.display = 'inline';
-      if (spinner) spinner.style.display = 'none';
-      submitBtn.disabled = false;
+    // With several grids on the page, the grid that pushed the entry handles it,
+    // otherwise the first grid containing the product
+    ownsDeepLink(handle) {
+      if (!handle || !this.hasTile(handle)) return false;
+
+      const state = history.state;
+      if (state && state.giftGuide) {
+        return state.giftGuide === this.sectionId;
+      }
+
+      const tileSelector = `.gg-product-tile[data-product-handle="${CSS.escape(handle)}"]`;
+      const grids = Array.from(document.querySelectorAll('gift-guide-grid'));
+      return grids.find(grid => grid.querySelector(tileSelector)) === this.section;
+    }
+
+    openFromUrl() {
+      const { handle, variantId } = this.getDeepLink();
+      if (this.ownsDeepLink(handle)) {
+        this.openModal(handle, { variantId, updateHistory: false });
+      }
+    }
+
+    handlePopState(e) {
+      const { handle, variantId } = this.getDeepLink();
+
+      if (this.ownsDeepLink(handle)) {
+        if (this.isModalOpen() && this.currentProduct && this.currentProduct.handle === handle) return;
+
+        // Forward into a gift entry we pushed earlier - closing should step back again
+        this.historyEntryPushed = Boolean(e.state && e.state.giftGuide);
+        this.openModal(handle, { variantId, updateHistory: false });
+      } else if (this.isModalOpen()) {
+        this.historyEntryPushed = false;
+        this.closeModal({ updateHistory: false });
+      }
+    }
+
+    // Keep the URL (and share links) on the selected variant without adding history entries
+    updateHistoryVariant() {
+      if (!this.isModalOpen() || !this.getDeepLink().handle) return;
+      history.replaceState(history.state, '', this.getDeepLinkUrl());
+    }
+
+    async shareProduct() {
+      const url = this.getDeepLinkUrl();
+      const status = this.modal.querySelector('[data-gg-share-status]');
+
+      try {
+        if (navigator.share) {
+          await navigator.share({ url, title: this.currentProduct.title });
+          return;
+        }
+
+        await navigator.clipboard.writeText(url);
+        if (status) status.textContent = window.giftGuideStrings.shareSuccess;
+      } catch (error) {
+        // Dismissing the native share sheet rejects as well
+        if (error.name !== 'AbortError') console.error('Error sharing product:', error);
+      }
+    }
+
+    // Theme editor (theme-editor.js): highlight the selected product block's tile and optionally preview it
+    selectBlock(blockElement) {
+      const tile = blockElement.closest('.gg-product-tile');
+      if (!tile || !this.section.contains(tile)) return;
+
+      this.section.querySelectorAll('.gg-product-tile--selected').forEach(selected => {
+        selected.classList.remove('gg-product-tile--selected');
+      });
+      tile.classList.add('gg-product-tile--selected');
+
+      if (this.section.dataset.editorPreview === 'true') {
+        this.openModal(tile.dataset.productHandle, { updateHistory: false });
+      } else {
+        tile.scrollIntoView({ block: 'center' });
+      }
+    }
+
+    deselectBlock(blockElement) {
+      const tile = blockElement.closest('.gg-product-tile');
+      if (!tile) return;
+
+      tile.classList.remove('gg-product-tile--selected');
+      if (this.isModalOpen()) {
+        this.closeModal({ updateHistory: false });
+      }
+    }
+
+    isModalOpen() {
+      return this.modal.open;
+    }
+
+    showLoadingState() {
+      const submitBtn = this.modal.querySelector('[data-gg-submit]');
+      if (submitBtn) {
+        const btnText = submitBtn.querySelector('.btn-text');
+        const spinner = submitBtn.querySelector('.loading-spinner');
+
+        if (btnText) btnText.style.display = 'none';
+        if (spinner) spinner.style.display = 'block';
+        submitBtn.disabled = true;
+      }
     }
-  }
 
-  showError(message) {
-    // Simple error display - could be enhanced with a toast notification
-    alert(message);
+    hideLoadingState() {
+      const submitBtn = this.modal.querySelector('[data-gg-submit]');
+      if (submitBtn) {
+        const btnText = submitBtn.querySelector('.btn-text');
+        const spinner = submitBtn.querySelector('.loading-spinner');
+
+        if (btnText) btnText.style.display = 'inline';
+        if (spinner) spinner.style.display = 'none';
+        submitBtn.disabled = !this.canAddToCart(this.getSelectedVariant());
+      }
+    }
+
+    // Modeled on ProductForm.handleErrorMessage; called without a message to clear the error
+    handleErrorMessage(errorMessage = false, retry = null) {
+      const wrapper = this.modal.querySelector('[data-gg-error]');
+      if (!wrapper) return;
+
+      wrapper.toggleAttribute('hidden', !errorMessage);
+      if (errorMessage) {
+        wrapper.querySelector('[data-gg-error-message]').textContent = errorMessage;
+      }
+
+      this.retryAction = retry;
+      const retryBtn = wrapper.querySelector('[data-gg-retry]');
+      if (retryBtn) retryBtn.hidden = !retry;
+    }
+
+    showToast(message, retry = null) {
+      if (!this.toast) return;
+
+      clearTimeout(this.toastTimeout);
+      this.toast.querySelector('[data-gg-toast-message]').textContent = message;
+      this.toast.querySelector('[data-gg-toast-retry]').hidden = !retry;
+      this.toast.classList.add('gg-toast--visible');
+      this.toastRetryAction = retry;
+
+      // Messages with a retry action stay until the shopper acts on them
+      if (!retry) {
+        this.toastTimeout = setTimeout(() => this.hideToast(), 6000);
+      }
+    }
+
+    hideToast() {
+      if (!this.toast) return;
+
+      clearTimeout(this.toastTimeout);
+      this.toast.classList.remove('gg-toast--visible');
+      this.toast.querySelector('[data-gg-toast-message]').textContent = '';
+      this.toastRetryAction = null;
+    }
   }
-}
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  new GiftGuideModal();
-});
+  customElements.define(
+    'gift-guide-grid',
+    class GiftGuideGrid extends HTMLElement {
+      connectedCallback() {
+        this.giftGuideModal = new GiftGuideModal(this);
+
+        // Re-rendered tiles start with unpressed hearts
+        if (window.giftGuideWishlist) window.giftGuideWishlist.syncButtons(this);
+      }
+
+      disconnectedCallback() {
+        if (this.giftGuideModal) {
+          this.giftGuideModal.destroy();
+          this.giftGuideModal = null;
+        }
+      }
+
+      // Theme editor hooks, called from theme-editor.js
+      selectBlock(blockElement) {
+        if (this.giftGuideModal) this.giftGuideModal.selectBlock(blockElement);
+      }
+
+      deselectBlock(blockElement) {
+        if (this.giftGuideModal) this.giftGuideModal.deselectBlock(blockElement);
+      }
+
+      closeModal() {
+        if (this.giftGuideModal && this.giftGuideModal.isModalOpen()) {
+          this.giftGuideModal.closeModal({ updateHistory: false });
+        }
+      }
+    }
+  );
+}
@@ -329,24 +329,18 @@ if (!customElements.get('quick-order-list')) {
         this.toggleLoading(true);
         const url = this.dataset.url || window.location.pathname;
 
-        const body = JSON.stringify({
+        const body = {
           updates: items,
           sections: this.getSectionsToRender().map(({ section }) => section),
           sections_url: `${url}?page=${this.currentPage}`,
-        });
+        };
 
         this.updateMessage();
         this.setErrorMessage();
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-          .then((response) => response.text())
-          .then(async (state) => {
-            const parsedState = JSON.parse(state);
+        CartQueue.update(body, { source: this.id })
+          .then((parsedState) => {
             this.renderSections(parsedState);
-            publish(PUB_SUB_EVENTS.cartUpdate, {
-              source: this.id,
-              cartData: parsedState,
-            });
           })
           .catch((e) => {
             console.error(e);
@@ -3,8 +3,18 @@ function hideProductModal() {
   productModal && productModal.forEach((modal) => modal.hide());
 }
 
+// Editor events can arrive before a re-rendered or deferred section's custom elements are upgraded
+function whenUpgraded(element, callback) {
+  if (!element) return;
+  customElements.whenDefined(element.localName).then(() => callback(element));
+}
+
 document.addEventListener('shopify:block:select', function (event) {
   hideProductModal();
+
+  whenUpgraded(event.target.closest('gift-guide-grid'), (grid) => grid.selectBlock(event.target));
+  whenUpgraded(event.target.closest('gift-finder'), (finder) => finder.showAnswer(event.target));
+
   const blockSelectedIsSlide = event.target.classList.contains('slideshow__slide');
   if (!blockSelectedIsSlide) return;
 
@@ -19,6 +29,8 @@ document.addEventListener('shopify:block:select', function (event) {
 });
 
 document.addEventListener('shopify:block:deselect', function (event) {
+  whenUpgraded(event.target.closest('gift-guide-grid'), (grid) => grid.deselectBlock(event.target));
+
   const blockDeselectedIsSlide = event.target.classList.contains('slideshow__slide');
   if (!blockDeselectedIsSlide) return;
   const parentSlideshowComponent = event.target.closest('slideshow-component');
@@ -37,6 +49,10 @@ document.addEventListener('shopify:section:load', () => {
 });
 
 document.addEventListener('shopify:section:unload', (event) => {
+  document.querySelectorAll(`gift-guide-grid[data-section-id="${event.detail.sectionId}"]`).forEach((grid) => {
+    // A grid that was never upgraded has no modal open
+    if (typeof grid.closeModal === 'function') grid.closeModal();
+  });
   document.querySelectorAll(`[data-section="${event.detail.sectionId}"]`).forEach((element) => {
     element.remove();
     document.body.classList.remove('overflow-hidden');